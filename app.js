@@ -1,15 +1,12 @@
 // Minimal, deployable browser app. No bundler required.
-// Uses Zarrita via CDN only for store path utilities if needed; tree built from consolidated .zmetadata.
+// Uses Zarrita via CDN to decode array values for previews; tree built from consolidated metadata,
+// or by crawling per-node metadata when the store is not consolidated.
 
-// Optional: try to import zarrita for URL helpers. If CDN fails, app still works.
-let zarrita; // eslint-disable-line no-unused-vars
-(async () => {
-  try {
-    zarrita = await import("https://esm.sh/zarrita@0.4?bundle");
-  } catch (e) {
-    // ignore; we don't strictly need zarrita to render metadata tree
-  }
-})();
+// Optional: zarrita is only needed to read values. If the CDN fails, the metadata views still work.
+let zarrita;
+const zarritaReady = import("https://esm.sh/zarrita@0.4?bundle")
+  .then((mod) => (zarrita = mod))
+  .catch((e) => { console.warn('[zarr] zarrita unavailable:', e?.message || e); return null; });
 
 const $ = (sel) => document.querySelector(sel);
 const statusEl = () => $("#status");
@@ -17,10 +14,18 @@ const slideEl = () => $("#slide");
 const sidebarEl = () => $("#sidebar");
 
 const state = {
-  baseUrl: "",
+  baseUrl: "", // store URL, or the file/folder name for local stores
+  store: null, // see Store shape below
   tree: null, // { pathMap: Map<string, Node>, root: Node }
   activePath: "/",
   highlightVarPath: null,
+  storage: null, // storage settings, see STORAGE_DEFAULTS
+  compare: null, // { left: Side, right: Side, onlyDiffs } while comparing, see renderCompare()
+  facets: { path: null, selected: new Map() }, // subgroup filters of group `path`: attr key -> Set of valueKey()
+  pivot: { rows: [], cols: [], agg: "count", sort: null }, // aggregated-attributes table, see bindAggPivot()
+  sidebar: { expanded: new Set(["/"]), revealed: null, rows: [], showArrays: false }, // see renderSidebar()
+  recent: [], // recently visited paths, most recent first (command palette)
+  paletteItems: [], // command palette results currently listed
 };
 
 /** Node shape
@@ -28,7 +33,8 @@ const state = {
  *  path: string ("/" for root),
  *  type: "group" | "array",
  *  attrs?: object,
- *  zarray?: object, // for arrays
+ *  zarray?: object, // for arrays: raw .zarray (v2) or zarr.json array document (v3)
+ *  array?: ArrayModel, // for arrays: normalized metadata, see normalizeArrayMeta()
  *  children: string[] // child basenames sorted
  * }
  */
@@ -47,34 +53,536 @@ function normalizePath(p) {
   return s;
 }
 
-async function fetchJson(url) {
-  const res = await fetch(url, { mode: "cors" });
+async function fetchJson(url, request = fetch, init = {}) {
+  const res = await request(url, { mode: "cors", ...init });
   if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
   return res.json();
 }
 
-async function loadZmetadata(baseUrl) {
-  const u = normalizeBase(baseUrl);
-  const metaUrl = `${u}/.zmetadata`;
-  setStatus(`Fetching .zmetadata from ${metaUrl} ...`);
-  const jm = await fetchJson(metaUrl);
+// --- Storage settings: cloud URIs, object-store endpoints, presigned access ---
+
+const STORAGE_SETTINGS_KEY = "dtb.storageSettings";
+const AWS_S3_ENDPOINT = "https://s3.amazonaws.com";
+const STORAGE_DEFAULTS = {
+  s3Endpoint: AWS_S3_ENDPOINT,
+  s3Addressing: "path", // "path": <endpoint>/<bucket>/<key>, "virtual": <bucket>.<endpoint host>/<key>
+  s3Region: "", // AWS only: selects s3.<region>.amazonaws.com
+  gcsEndpoint: "https://storage.googleapis.com",
+  azureAccount: "", // storage account for az:// URIs that do not name one
+  headers: "", // "Name: value" per line, sent with every request
+  query: "", // appended to every request URL, e.g. a SAS token or presigned query string
+};
+// Credentials stay in memory for the session and are never written to localStorage
+const SESSION_ONLY_SETTINGS = ["headers", "query"];
+
+function loadStorageSettings() {
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(STORAGE_SETTINGS_KEY) || "{}") || {}; } catch { /* ignore */ }
+  for (const k of SESSION_ONLY_SETTINGS) delete saved[k];
+  return { ...STORAGE_DEFAULTS, ...saved };
+}
+
+function saveStorageSettings(settings) {
+  const persisted = { ...settings };
+  for (const k of SESSION_ONLY_SETTINGS) delete persisted[k];
+  try { localStorage.setItem(STORAGE_SETTINGS_KEY, JSON.stringify(persisted)); } catch { /* ignore */ }
+}
+
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+function withQuery(url, query) {
+  const q = String(query || "").trim().replace(/^[?&]/, "");
+  if (!q) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${q}`;
+}
+
+// S3 endpoint URL without trailing slash; a region selects the regional AWS endpoint
+function s3EndpointUrl(settings) {
+  const endpoint = normalizeBase(settings.s3Endpoint || AWS_S3_ENDPOINT);
+  if (endpoint === AWS_S3_ENDPOINT && settings.s3Region) return `https://s3.${settings.s3Region}.amazonaws.com`;
+  return endpoint;
+}
+
+// Translate s3://, gs:// (gcs://) and az:// (abfs://) URIs to HTTPS; other URLs pass through unchanged
+function resolveCloudUri(uri, settings = state.storage) {
+  const m = String(uri).match(/^(s3|s3a|gs|gcs|az|abfss?):\/\/([^/]*)\/?(.*)$/i);
+  if (!m) return uri;
+  const scheme = m[1].toLowerCase();
+  const key = m[3];
+  const tail = key ? `/${key}` : "";
+  if (scheme.startsWith("s3")) {
+    const endpoint = s3EndpointUrl(settings);
+    if (settings.s3Addressing !== "virtual") return `${endpoint}/${m[2]}${tail}`;
+    const u = new URL(endpoint);
+    return `${u.protocol}//${m[2]}.${u.host}${u.pathname.replace(/\/$/, "")}${tail}`;
+  }
+  if (scheme === "gs" || scheme === "gcs") {
+    return `${normalizeBase(settings.gcsEndpoint || STORAGE_DEFAULTS.gcsEndpoint)}/${m[2]}${tail}`;
+  }
+  // az://container/key, or abfs://container@account.dfs.core.windows.net/key
+  const [container, host] = m[2].split("@");
+  const account = host ? host.split(".")[0] : settings.azureAccount;
+  if (!account) throw new Error(`${uri} does not name an Azure storage account; set one in Storage settings.`);
+  return `https://${account}.blob.core.windows.net/${container}${tail}`;
+}
+
+function s3StorageOptions(endpointUrl) {
+  const aws = endpointUrl.match(/^https:\/\/s3(?:[.-]([a-z0-9-]+))?\.amazonaws\.com$/i);
+  if (aws) return aws[1] ? { anon: true, client_kwargs: { region_name: aws[1] } } : { anon: true };
+  return { anon: true, client_kwargs: { endpoint_url: endpointUrl } };
+}
+
+// Map a store URL back to the fsspec URI and storage_options that read the same objects from Python
+function fsspecLocation(url, settings = state.storage) {
+  let u;
+  try { u = new URL(url); } catch { return { uri: url, options: null }; }
+  const headers = parseHeaderLines(settings.headers);
+  const query = String(settings.query || "").trim().replace(/^[?&]/, "");
+  const segs = u.pathname.split("/").filter(Boolean).map((s) => decodeURIComponent(s));
+  const az = u.hostname.match(/^([a-z0-9]+)\.(?:blob|dfs)\.core\.windows\.net$/i);
+  if (az && segs.length && !Object.keys(headers).length) {
+    return {
+      uri: `az://${segs.join("/")}`,
+      options: query ? { account_name: az[1], sas_token: query } : { account_name: az[1], anon: true },
+    };
+  }
+  // Headers and presigned query strings only carry over through fsspec's HTTP filesystem
+  if (!Object.keys(headers).length && !query) {
+    const gcsHost = new URL(settings.gcsEndpoint || STORAGE_DEFAULTS.gcsEndpoint).host;
+    if (u.host === gcsHost && segs.length) return { uri: `gs://${segs.join("/")}`, options: { token: "anon" } };
+    const loc = s3LocationFromUrl(url, settings);
+    if (loc?.isS3) return { uri: `s3://${[loc.bucket, loc.key].filter(Boolean).join("/")}`, options: s3StorageOptions(loc.endpointUrl) };
+    return { uri: url, options: null };
+  }
+  const options = {};
+  if (Object.keys(headers).length) options.headers = headers;
+  if (query) options.params = Object.fromEntries(new URLSearchParams(query));
+  return { uri: url, options };
+}
+
+// Python literal for JSON-like values (True/False/None instead of true/false/null)
+function pyLiteral(value) {
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (value == null) return "None";
+  if (Array.isArray(value)) return `[${value.map(pyLiteral).join(", ")}]`;
+  if (typeof value === "object") return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${pyLiteral(v)}`).join(", ")}}`;
+  return JSON.stringify(value);
+}
+
+function fillStorageForm(form, settings) {
+  for (const [k, v] of Object.entries(settings)) {
+    if (form.elements[k]) form.elements[k].value = v;
+  }
+}
+
+function onStorageFormSubmit(e) {
+  e.preventDefault();
+  const form = e.currentTarget;
+  const next = { ...state.storage };
+  for (const k of Object.keys(STORAGE_DEFAULTS)) {
+    if (form.elements[k]) next[k] = form.elements[k].value.trim();
+  }
+  state.storage = next;
+  saveStorageSettings(next);
+  updateHeaderControls();
+  setStatus(state.store?.kind === "http" ? "Storage settings saved. Load again to apply them." : "Storage settings saved.");
+}
+
+// --- Stores ---
+
+/** Store shape (compatible with zarrita's readable stores)
+ * {
+ *  kind: "http" | "directory" | "files" | "zip",
+ *  label: string, // URL for http stores, file/folder name otherwise
+ *  get(key, { signal }?): Promise<Uint8Array | undefined>, // key relative to the store root; leading "/" optional
+ *  getRange(key, { offset, length } | { suffixLength }): Promise<Uint8Array | undefined>,
+ *  list(prefix, { signal }?): Promise<{ dirs: string[], files: { name, size }[] } | null>, // prefix "" or "a/b/"
+ *  listingKind: string | null, // how list() works, for status messages
+ *  url?: string, // http only: the store base URL
+ * }
+ */
+
+function stripLeadingSlash(key) {
+  return String(key).replace(/^\/+/, "");
+}
+
+async function readJsonOptional(store, key, signal) {
+  const bytes = await store.get(key, { signal });
+  if (!bytes) return undefined;
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function readJson(store, key) {
+  const doc = await readJsonOptional(store, key);
+  if (doc === undefined) throw new Error(`${key} not found in ${store.label}`);
+  return doc;
+}
+
+function forbiddenError(store, key) {
+  return Object.assign(
+    new Error(`Access denied (403) to ${key} in ${store.label}. The store may need credentials: check the request headers or query token in Storage settings.`),
+    { forbidden: true },
+  );
+}
+
+// Root metadata documents. store.get() reads a 403 as a missing key, which is right for nodes and
+// chunks of S3 stores without list permission; here it is kept apart (`forbidden` on the error) so that
+// loadTree() can report missing credentials when nothing else in the store is readable.
+async function readRootJson(store, key, signal) {
+  if (store.kind !== "http") return readJson(store, key);
+  const res = await store.request(store.keyUrl(key), { signal });
+  if (res.status === 403) throw forbiddenError(store, key);
+  if (res.status === 404) throw new Error(`${key} not found in ${store.label}`);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return JSON.parse(new TextDecoder().decode(new Uint8Array(await res.arrayBuffer())));
+}
+
+// `headers` and `query` are added to every request, including listings and reference files
+function createHttpStore(baseUrl, { headers = {}, query = "" } = {}) {
+  const base = normalizeBase(baseUrl);
+  const keyUrl = (key) => `${base}/${stripLeadingSlash(key)}`;
+  const requestUrl = (url) => withQuery(url, query);
+  const request = (url, init = {}) => fetch(requestUrl(url), { mode: "cors", ...init, headers: { ...headers, ...init.headers } });
+  const bytesOrMissing = async (res) => {
+    // S3 answers 403 rather than 404 for unknown keys when listing is not allowed
+    if (res.status === 404 || res.status === 403) return undefined;
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    return new Uint8Array(await res.arrayBuffer());
+  };
+  let listing; // undefined until detected, then a listing source or null
+  return {
+    kind: "http",
+    label: base,
+    url: base,
+    keyUrl,
+    headers,
+    requestUrl,
+    request,
+    async get(key, { signal } = {}) {
+      return bytesOrMissing(await request(keyUrl(key), { signal }));
+    },
+    async getRange(key, range) {
+      const spec = "suffixLength" in range ? `-${range.suffixLength}` : `${range.offset}-${range.offset + range.length - 1}`;
+      return bytesOrMissing(await request(keyUrl(key), { headers: { Range: `bytes=${spec}` } }));
+    },
+    async list(prefix, { signal } = {}) {
+      if (listing === undefined) listing = await detectListing(base, request, signal);
+      return listing ? listing.list(prefix, signal) : null;
+    },
+    get listingKind() { return listing ? listing.kind : null; },
+  };
+}
+
+// Directory index over a flat set of relative paths ("a/.zarray", ...), shared by file-based stores
+function listingFromPaths(paths, sizeOf) {
+  const dirs = new Map(); // prefix -> { dirs: Set, files: [] }
+  const at = (prefix) => {
+    if (!dirs.has(prefix)) dirs.set(prefix, { dirs: new Set(), files: [] });
+    return dirs.get(prefix);
+  };
+  for (const path of paths) {
+    const segs = path.split("/").filter(Boolean);
+    let prefix = "";
+    for (let i = 0; i < segs.length - 1; i++) {
+      at(prefix).dirs.add(segs[i]);
+      prefix += `${segs[i]}/`;
+    }
+    if (segs.length) at(prefix).files.push({ name: segs[segs.length - 1], size: sizeOf(path) });
+  }
+  return async (prefix) => {
+    const entry = dirs.get(prefix);
+    return entry ? { dirs: Array.from(entry.dirs), files: entry.files } : { dirs: [], files: [] };
+  };
+}
+
+// A store whose root is inside a single top-level folder (zip of "x.zarr/", dropped folder) is re-rooted there
+function storeRootPrefix(paths) {
+  const isMeta = (p) => /^(\.zgroup|\.zarray|\.zmetadata|zarr\.json)$/.test(p);
+  if (paths.some(isMeta)) return "";
+  const tops = new Set(paths.map((p) => p.split("/")[0]));
+  if (tops.size === 1) {
+    const top = Array.from(tops)[0];
+    if (paths.some((p) => isMeta(p.slice(top.length + 1)))) return `${top}/`;
+  }
+  return "";
+}
+
+// Files keyed by store-relative path, e.g. from a webkitdirectory input or a dropped folder
+function createFileMapStore(label, files) {
+  const all = Array.from(files.keys());
+  const root = storeRootPrefix(all);
+  const map = new Map();
+  for (const [path, file] of files) if (path.startsWith(root)) map.set(path.slice(root.length), file);
+  const sliceOf = async (file, start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+  return {
+    kind: "files",
+    label,
+    async get(key) {
+      const file = map.get(stripLeadingSlash(key));
+      return file ? sliceOf(file, 0, file.size) : undefined;
+    },
+    async getRange(key, range) {
+      const file = map.get(stripLeadingSlash(key));
+      if (!file) return undefined;
+      if ("suffixLength" in range) return sliceOf(file, Math.max(0, file.size - range.suffixLength), file.size);
+      return sliceOf(file, range.offset, range.offset + range.length);
+    },
+    list: listingFromPaths(map.keys(), (path) => map.get(path).size),
+    listingKind: "local files",
+  };
+}
+
+// File System Access API directory handle (showDirectoryPicker or a dropped folder in Chromium)
+function createDirectoryHandleStore(handle) {
+  const fileFor = async (key) => {
+    const segs = stripLeadingSlash(key).split("/").filter(Boolean);
+    if (!segs.length) return undefined;
+    try {
+      let dir = handle;
+      for (const seg of segs.slice(0, -1)) dir = await dir.getDirectoryHandle(seg);
+      return await (await dir.getFileHandle(segs[segs.length - 1])).getFile();
+    } catch (e) {
+      if (e && (e.name === "NotFoundError" || e.name === "TypeMismatchError")) return undefined;
+      throw e;
+    }
+  };
+  const sliceOf = async (file, start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+  return {
+    kind: "directory",
+    label: handle.name,
+    async get(key) {
+      const file = await fileFor(key);
+      return file ? sliceOf(file, 0, file.size) : undefined;
+    },
+    async getRange(key, range) {
+      const file = await fileFor(key);
+      if (!file) return undefined;
+      if ("suffixLength" in range) return sliceOf(file, Math.max(0, file.size - range.suffixLength), file.size);
+      return sliceOf(file, range.offset, range.offset + range.length);
+    },
+    async list(prefix) {
+      let dir = handle;
+      try {
+        for (const seg of prefix.split("/").filter(Boolean)) dir = await dir.getDirectoryHandle(seg);
+      } catch {
+        return { dirs: [], files: [] };
+      }
+      const dirs = [];
+      const files = [];
+      for await (const entry of dir.values()) {
+        if (entry.kind === "directory") dirs.push(entry.name);
+        else files.push({ name: entry.name, size: (await entry.getFile()).size });
+      }
+      return { dirs, files };
+    },
+    listingKind: "local folder",
+  };
+}
+
+// Zipped store (e.g. zarr.storage.ZipStore output), read in place from the Blob
+async function createZipStore(blob, label) {
+  const { unzip } = await import("https://esm.sh/unzipit@1?bundle");
+  const { entries } = await unzip(blob);
+  const names = Object.keys(entries).filter((n) => !entries[n].isDirectory);
+  const root = storeRootPrefix(names);
+  const byKey = new Map();
+  for (const name of names) if (name.startsWith(root)) byKey.set(name.slice(root.length), entries[name]);
+  const read = async (key) => {
+    const entry = byKey.get(stripLeadingSlash(key));
+    return entry ? new Uint8Array(await entry.arrayBuffer()) : undefined;
+  };
+  return {
+    kind: "zip",
+    label: label || blob.name || "store.zip",
+    get: read,
+    async getRange(key, range) {
+      const bytes = await read(key);
+      if (!bytes) return undefined;
+      if ("suffixLength" in range) return bytes.slice(-range.suffixLength);
+      return bytes.slice(range.offset, range.offset + range.length);
+    },
+    // Sizes are the compressed sizes inside the archive, i.e. what each key costs on storage
+    list: listingFromPaths(byKey.keys(), (path) => byKey.get(path).compressedSize),
+    listingKind: "zip index",
+  };
+}
+
+// Walk a dropped folder (webkitGetAsEntry) into a path -> File map
+async function filesFromEntry(dirEntry) {
+  const files = new Map();
+  const readAll = (reader) => new Promise((resolve, reject) => {
+    const out = [];
+    const next = () => reader.readEntries((batch) => {
+      if (!batch.length) resolve(out);
+      else { out.push(...batch); next(); }
+    }, reject);
+    next();
+  });
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.set(`${prefix}${entry.name}`, file);
+      if (files.size % 500 === 0) setStatus(`Reading dropped folder: ${files.size} file(s)...`);
+      return;
+    }
+    const children = await readAll(entry.createReader());
+    for (const child of children) await walk(child, `${prefix}${entry.name}/`);
+  };
+  const children = await readAll(dirEntry.createReader());
+  for (const child of children) await walk(child, "");
+  return files;
+}
+
+// --- Root metadata in a Web Worker ---
+// Consolidated documents of remote stores are fetched, parsed and turned into a tree off the main
+// thread, so multi-megabyte .zmetadata / zarr.json files keep the page responsive. The tree is
+// structured-cloned back; loading falls back to the main thread where workers cannot start.
+
+// Pure tree builders shared with the worker
+const TREE_WORKER_HELPERS = [
+  buildTree, buildTreeFromV3, hasV3MetadataMap, ensureNode, parseJsonOr, normalizePath, dirname, basename,
+  normalizeArrayMeta, shardingFromCodecs, dimsFromAttrs, normalizeCodec, isFortranTranspose, decodeFillValue,
+  prettyDtype, dtypeItemsize, product,
+];
+
+// Worker body: fetches one metadata document { url, headers, format } with byte progress. Messages:
+// progress {loaded, total, parsing}, missing, forbidden, error {message}, done {tree, recordSize} for consolidated
+// documents or done {doc} for a v3 zarr.json without a metadata map.
+function metadataWorkerMain() {
+  const PROGRESS_STEP = 256 * 1024; // bytes between progress messages
+  self.onmessage = async ({ data: { url, headers, format } }) => {
+    try {
+      const res = await fetch(url, { mode: "cors", headers });
+      if (res.status === 404 || res.status === 403) {
+        self.postMessage({ type: res.status === 403 ? "forbidden" : "missing" });
+        return;
+      }
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      const total = Number(res.headers.get("content-length")) || 0;
+      const parts = [];
+      let loaded = 0;
+      let reported = 0;
+      const reader = res.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        loaded += value.length;
+        if (loaded - reported >= PROGRESS_STEP) {
+          reported = loaded;
+          self.postMessage({ type: "progress", loaded, total });
+        }
+      }
+      self.postMessage({ type: "progress", loaded, total, parsing: true });
+      const bytes = new Uint8Array(loaded);
+      let offset = 0;
+      for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+      }
+      const doc = JSON.parse(new TextDecoder().decode(bytes));
+      if (format === 3) {
+        if (!doc || typeof doc !== "object") throw new Error("Invalid zarr.json");
+        if (!hasV3MetadataMap(doc)) self.postMessage({ type: "done", doc });
+        else self.postMessage({ type: "done", doc: { node_type: doc.node_type }, tree: buildTreeFromV3({ zarr: doc }) });
+        return;
+      }
+      if (!doc || typeof doc !== "object" || !doc.metadata) {
+        throw new Error(".zmetadata missing 'metadata' key. Ensure store is consolidated.");
+      }
+      self.postMessage({ type: "done", tree: buildTree(doc), recordSize: doc.record_size });
+    } catch (e) {
+      self.postMessage({ type: "error", message: e.message || String(e) });
+    }
+  };
+}
+
+function abortError() {
+  return new DOMException("Loading was cancelled.", "AbortError");
+}
+
+// Runs metadataWorkerMain for one key of an http store. Rejects with an AbortError when `signal`
+// aborts (the worker is terminated, which also cancels its fetch) and with `workerFailed` set when
+// the worker itself could not run.
+function loadMetadataInWorker(store, key, format, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const worker = createInlineWorker(metadataWorkerMain, TREE_WORKER_HELPERS);
+    const settle = (fn, value) => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const onAbort = () => settle(reject, abortError());
+    signal?.addEventListener("abort", onAbort);
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        const size = data.total ? `${humanBytes(data.loaded)} of ${humanBytes(data.total)}` : humanBytes(data.loaded);
+        setStatus(data.parsing ? `Parsing ${key} (${size}) ...` : `Fetching ${key} from ${store.label}: ${size} ...`);
+      } else if (data.type === "missing") {
+        settle(reject, new Error(`${key} not found in ${store.label}`));
+      } else if (data.type === "forbidden") {
+        settle(reject, forbiddenError(store, key));
+      } else if (data.type === "error") {
+        settle(reject, new Error(data.message));
+      } else {
+        settle(resolve, data);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      settle(reject, Object.assign(new Error(e.message || "metadata worker failed"), { workerFailed: true }));
+    };
+    worker.postMessage({ url: store.requestUrl(store.keyUrl(key)), headers: store.headers, format });
+  });
+}
+
+// The worker result, or null when the document should be read on the main thread instead
+async function tryMetadataWorker(store, key, format, signal) {
+  if (store.kind !== "http" || typeof Worker === "undefined") return null;
+  try {
+    return await loadMetadataInWorker(store, key, format, signal);
+  } catch (e) {
+    if (!e.workerFailed) throw e;
+    console.warn(`[zarr] metadata worker failed, reading ${key} on the main thread. Reason:`, e.message);
+    return null;
+  }
+}
+
+async function loadZmetadata(store, signal) {
+  setStatus(`Fetching .zmetadata from ${store.label}/.zmetadata ...`);
+  const fromWorker = await tryMetadataWorker(store, ".zmetadata", 2, signal);
+  if (fromWorker) return { consolidated: { record_size: fromWorker.recordSize }, tree: fromWorker.tree };
+  const jm = await readRootJson(store, ".zmetadata", signal);
   if (!jm || typeof jm !== "object" || !jm.metadata) {
     throw new Error(".zmetadata missing 'metadata' key. Ensure store is consolidated.");
   }
-  return { base: u, consolidated: jm };
+  return { consolidated: jm };
 }
 
 // Zarr v3 consolidated: expect zarr.json with a metadata map.
-// We'll adapt v3 keys ending with "/group.json", "/array.json", "/attrs.json" to v2-like
-// ".zgroup", ".zarray", ".zattrs" so we can reuse buildTree().
-async function loadZarrV3(baseUrl) {
-  const u = normalizeBase(baseUrl);
-  const url = `${u}/zarr.json`;
-  setStatus(`Fetching zarr.json from ${url} ...`);
-  const zj = await fetchJson(url);
+// We'll key v3 nodes as ".zgroup", ".zarray", ".zattrs" entries so we can reuse buildTree()'s path
+// handling; array documents are kept in their native v3 form. A tree built by the metadata worker
+// comes back as `tree`.
+async function loadZarrV3(store, signal) {
+  setStatus(`Fetching zarr.json from ${store.label}/zarr.json ...`);
+  const fromWorker = await tryMetadataWorker(store, "zarr.json", 3, signal);
+  if (fromWorker) return { zarr: fromWorker.doc, tree: fromWorker.tree };
+  const zj = await readRootJson(store, 'zarr.json', signal);
   if (!zj || typeof zj !== 'object') throw new Error('Invalid zarr.json');
   console.debug('[zarr] zarr.json content keys:', Object.keys(zj || {}));
-  return { base: u, zarr: zj };
+  return { zarr: zj };
 }
 
 function buildTreeFromV3(v3) {
@@ -111,8 +619,8 @@ function buildTreeFromV3(v3) {
         mapped[`${path}/.zgroup`] = { zarr_format: 2 };
         if (attrs && Object.keys(attrs).length) mapped[`${path}/.zattrs`] = attrs;
       } else if (value.node_type === 'array') {
-        // Try to find array metadata in descriptor if present; otherwise, create minimal placeholder
-        const arrMeta = value.array || value.metadata || {};
+        // Keep the native v3 array document; normalizeArrayMeta() reads it directly
+        const { attributes, ...arrMeta } = value; // eslint-disable-line no-unused-vars
         mapped[`${path}/.zarray`] = arrMeta;
         if (attrs && Object.keys(attrs).length) mapped[`${path}/.zattrs`] = attrs;
       }
@@ -125,136 +633,1846 @@ function buildTreeFromV3(v3) {
   return buildTree(consolidated);
 }
 
-function buildTree(consolidated) {
-  const pathMap = new Map();
-  // Ensure root exists
-  ensureNode(pathMap, "/").type = "group";
+function hasV3MetadataMap(zj) {
+  const md = zj && (zj.metadata || (zj.consolidated_metadata && zj.consolidated_metadata.metadata));
+  return !!(md && typeof md === 'object' && Object.keys(md).length);
+}
 
-  const meta = consolidated.metadata;
-  for (const [key, value] of Object.entries(meta)) {
-    // keys are like "foo/.zgroup", "foo/bar/.zarray", "foo/.zattrs"
-    if (!key.endsWith(".zgroup") && !key.endsWith(".zarray") && !key.endsWith(".zattrs")) continue;
-    const path = normalizePath("/" + key.replace(/\.z(group|array|attrs)$/i, ""));
-    const node = ensureNode(pathMap, path);
-    if (key.endsWith(".zgroup")) node.type = "group";
-    if (key.endsWith(".zarray")) node.type = "array";
-    if (key.endsWith(".zattrs")) node.attrs = value || {};
-    if (key.endsWith(".zarray")) node.zarray = value || {};
+// --- Non-consolidated stores: crawl per-node metadata ---
+// Children are discovered through a listing source (S3 ListObjectsV2 or an HTTP directory index);
+// node metadata is fetched per child with a concurrency limit.
+
+const CRAWL_CONCURRENCY = 8;
+
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+// Split a store URL into S3 bucket/key parts. Virtual-host style is recognised from hosts like
+// "<bucket>.s3.<region>.amazonaws.com" or "<bucket>.<configured endpoint host>"; everything else is treated
+// as path style ("<endpoint>/<bucket>/<key>"). `isS3` is set when the host looks like an S3 endpoint.
+function s3LocationFromUrl(baseUrl, settings = state.storage || STORAGE_DEFAULTS) {
+  let u;
+  let endpoint;
+  // A malformed endpoint setting makes the URL unresolvable rather than throwing
+  try {
+    u = new URL(baseUrl);
+    endpoint = new URL(s3EndpointUrl(settings));
+  } catch { return null; }
+  const segs = u.pathname.split('/').filter(Boolean).map((s) => decodeURIComponent(s));
+  const configured = u.host.endsWith(`.${endpoint.host}`) ? u.host.slice(0, -(endpoint.host.length + 1)) : null;
+  const vhost = configured || (u.hostname.match(/^(.+)\.s3[.-]/) || [])[1];
+  if (vhost) {
+    const endpointUrl = `${u.protocol}//${u.host.slice(vhost.length + 1)}`;
+    return { listUrl: `${u.origin}/`, bucket: vhost, key: segs.join('/'), endpointUrl, isS3: true };
   }
+  if (!segs.length) return null;
+  const isS3 = u.host === endpoint.host || /(^|\.)s3[.-]/i.test(u.hostname);
+  return { listUrl: `${u.origin}/${encodeURIComponent(segs[0])}`, bucket: segs[0], key: segs.slice(1).join('/'), endpointUrl: u.origin, isS3 };
+}
 
-  // Infer missing parent groups and children lists
-  for (const p of pathMap.keys()) {
-    if (p === "/") continue;
-    const parent = dirname(p);
-    const base = basename(p);
-    const parentNode = ensureNode(pathMap, parent);
-    if (!parentNode.children.includes(base)) parentNode.children.push(base);
+function parseS3ListResult(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const rootEl = doc.documentElement;
+  if (!rootEl || rootEl.localName !== 'ListBucketResult') return null;
+  const childText = (el, name) => {
+    const c = Array.from(el.children).find((x) => x.localName === name);
+    return c ? c.textContent : null;
+  };
+  const prefixes = Array.from(rootEl.children)
+    .filter((el) => el.localName === 'CommonPrefixes')
+    .map((el) => childText(el, 'Prefix'))
+    .filter(Boolean);
+  const contents = Array.from(rootEl.children)
+    .filter((el) => el.localName === 'Contents')
+    .map((el) => ({ key: childText(el, 'Key'), size: Number(childText(el, 'Size')) }))
+    .filter((c) => c.key);
+  return {
+    prefixes,
+    contents,
+    truncated: childText(rootEl, 'IsTruncated') === 'true',
+    token: childText(rootEl, 'NextContinuationToken'),
+  };
+}
+
+// List the direct children of `prefix` ("" for the store root, else "a/b/") via S3 ListObjectsV2
+async function listS3(loc, prefix, request = fetch, signal) {
+  const keyPrefix = loc.key ? `${loc.key.replace(/\/$/, '')}/${prefix}` : prefix;
+  const dirs = [];
+  const files = [];
+  let token = null;
+  do {
+    const params = new URLSearchParams({ 'list-type': '2', prefix: keyPrefix, delimiter: '/' });
+    if (token) params.set('continuation-token', token);
+    const res = await request(`${loc.listUrl}?${params}`, { mode: "cors", signal });
+    if (!res.ok) return null;
+    const page = parseS3ListResult(await res.text());
+    if (!page) return null;
+    for (const p of page.prefixes) dirs.push(p.slice(keyPrefix.length).replace(/\/$/, ''));
+    for (const c of page.contents) files.push({ name: c.key.slice(keyPrefix.length), size: c.size });
+    token = page.truncated ? page.token : null;
+  } while (token);
+  return { dirs: dirs.filter(Boolean), files };
+}
+
+// List the direct children of `prefix` by parsing an HTML directory index (nginx/Apache/python http.server)
+async function listHttpIndex(baseUrl, prefix, request = fetch, signal) {
+  const dirUrl = `${normalizeBase(baseUrl)}/${prefix}`;
+  const res = await request(dirUrl, { mode: "cors", signal });
+  if (!res.ok) return null;
+  const type = res.headers.get('content-type') || '';
+  if (!type.includes('html')) return null;
+  const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+  const dirs = new Set();
+  const files = new Set();
+  const here = new URL(dirUrl.endsWith('/') ? dirUrl : `${dirUrl}/`);
+  for (const a of doc.querySelectorAll('a[href]')) {
+    let target;
+    try { target = new URL(a.getAttribute('href'), here); } catch { continue; }
+    if (target.origin !== here.origin || target.search || !target.pathname.startsWith(here.pathname)) continue;
+    const rest = decodeURIComponent(target.pathname.slice(here.pathname.length));
+    if (!rest || rest.startsWith('../')) continue;
+    const m = rest.match(/^([^/]+)(\/?)$/);
+    if (!m) continue;
+    (m[2] ? dirs : files).add(m[1]);
   }
-  // Sort children for stable sibling navigation
-  for (const node of pathMap.values()) node.children.sort((a, b) => a.localeCompare(b));
+  return { dirs: Array.from(dirs), files: Array.from(files).map((name) => ({ name, size: null })) };
+}
 
-  return { pathMap, root: pathMap.get("/") };
+// Find a listing source that works for this store; returns list(prefix, signal) or null
+async function detectListing(baseUrl, request = fetch, signal) {
+  const loc = s3LocationFromUrl(baseUrl);
+  if (loc) {
+    try {
+      const probe = await listS3(loc, '', request, signal);
+      if (probe) return { kind: 'S3 listing', list: (prefix, sig) => listS3(loc, prefix, request, sig) };
+    } catch (e) {
+      if (e?.name === 'AbortError') throw e;
+      console.debug('[zarr] S3 listing unavailable:', e?.message || e);
+    }
+  }
+  try {
+    const probe = await listHttpIndex(baseUrl, '', request, signal);
+    if (probe) return { kind: 'directory index', list: (prefix, sig) => listHttpIndex(baseUrl, prefix, request, sig) };
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    console.debug('[zarr] directory index unavailable:', e?.message || e);
+  }
+  return null;
 }
 
-function ensureNode(map, path) {
-  const np = normalizePath(path);
-  let node = map.get(np);
-  if (!node) {
-    node = { path: np, type: "group", attrs: {}, children: [] };
-    map.set(np, node);
+// Walk the hierarchy from the root. For v2 the result is a .zmetadata-like map for buildTree();
+// for v3 it is a node-descriptor map for buildTreeFromV3(). Aborting `signal` stops the walk and
+// cancels its pending requests.
+async function crawlStore(store, zarrFormat, rootMeta, signal) {
+  const limit = createLimiter(CRAWL_CONCURRENCY);
+  const metadata = {};
+  let done = 0;
+  let pending = 0;
+  let found = 0;
+  const progress = () => setStatus(`Crawling ${store.listingKind || 'store'}: ${done} node(s) read, ${pending} pending...`);
+
+  const readNode = async (rel) => {
+    const prefix = rel ? `${rel}/` : '';
+    if (zarrFormat === 3) {
+      const zj = rel === '' && rootMeta ? rootMeta : await readJsonOptional(store, `${prefix}zarr.json`, signal);
+      if (!zj || !zj.node_type) return false;
+      metadata[rel] = zj;
+      found++;
+      return zj.node_type === 'group';
+    }
+    const [zgroup, zarray, zattrs] = await Promise.all([
+      readJsonOptional(store, `${prefix}.zgroup`, signal),
+      readJsonOptional(store, `${prefix}.zarray`, signal),
+      readJsonOptional(store, `${prefix}.zattrs`, signal),
+    ]);
+    if (zarray) metadata[`${prefix}.zarray`] = zarray;
+    else if (zgroup) metadata[`${prefix}.zgroup`] = zgroup;
+    else return false;
+    if (zattrs) metadata[`${prefix}.zattrs`] = zattrs;
+    found++;
+    return !zarray;
+  };
+
+  // Queued nodes are dropped once the load is cancelled, instead of each failing its own request
+  const unlessAborted = (fn) => () => (signal?.aborted ? Promise.reject(abortError()) : fn());
+
+  const visit = async (rel) => {
+    pending++;
+    progress();
+    try {
+      const isGroup = await limit(unlessAborted(() => readNode(rel)));
+      if (!isGroup) return;
+      const children = await limit(unlessAborted(() => store.list(rel ? `${rel}/` : '', { signal })));
+      if (!children) return;
+      const kids = children.dirs.filter((d) => !d.startsWith('.'));
+      await Promise.all(kids.map((d) => visit(rel ? `${rel}/${d}` : d)));
+    } finally {
+      pending--;
+      done++;
+      progress();
+    }
+  };
+
+  await visit('');
+  const rootKey = zarrFormat === 3 ? '' : '.zgroup';
+  if (!metadata[rootKey]) {
+    throw new Error(`No consolidated metadata and no ${zarrFormat === 3 ? 'zarr.json' : '.zgroup'} group at the store root.`);
   }
-  return node;
+  console.info(`[zarr] crawled v${zarrFormat} store via ${store.listingKind || 'no listing'}:`, Object.keys(metadata).length, 'entries');
+  return { metadata, listing: store.listingKind, nodes: found };
 }
 
-function dirname(p) {
-  const np = normalizePath(p);
-  if (np === "/") return "/";
-  const parts = np.split("/").filter(Boolean);
-  parts.pop();
-  return "/" + parts.join("/");
+// --- Kerchunk / VirtualiZarr references ---
+// A reference set maps every Zarr key either to a metadata document, to inline data, or to a
+// [url, offset, length] byte range in another file. Metadata keys feed buildTree(); chunk
+// references are kept per array (tree.refs) so the views can show where the bytes live.
+
+function referenceKind(url) {
+  let path = url || '';
+  try { path = new URL(url).pathname; } catch { /* not absolute; use as-is */ }
+  path = path.replace(/\/$/, '');
+  if (/\.parq(uet)?$/i.test(path)) return 'parquet';
+  if (/\.json$/i.test(path) && !/(^|\/)zarr\.json$/i.test(path)) return 'json';
+  return null;
 }
-function basename(p) {
-  const np = normalizePath(p);
-  if (np === "/") return "/";
-  const parts = np.split("/").filter(Boolean);
-  return parts[parts.length - 1] || "/";
+
+async function loadKerchunkJson(store, signal) {
+  setStatus(`Fetching references from ${store.url} ...`);
+  const spec = await fetchJson(store.url, store.request, { signal });
+  if (!spec || typeof spec !== 'object') throw new Error('Invalid reference file');
+  // Version 1 wraps the key map in "refs"; version 0 is the bare key map
+  const refs = spec.version === 1 ? spec.refs : spec;
+  if (!refs || typeof refs !== 'object') throw new Error("Reference file missing 'refs' map");
+  return { refs, templates: spec.templates || {}, gen: Array.isArray(spec.gen) ? spec.gen : [] };
 }
 
-function siblingsOf(tree, path) {
-  // Operate among sibling GROUPS only
-  const parent = dirname(path);
-  const sibNames = tree.pathMap.get(parent)?.children || [];
-  const sibGroups = sibNames
-    .map((name) => tree.pathMap.get(join(parent, name)))
-    .filter((n) => n && n.type === "group")
-    .map((n) => basename(n.path));
-  const idx = sibGroups.indexOf(basename(path));
-  return { parent, list: sibGroups, index: idx };
+function buildTreeFromRefs({ refs, templates, gen }) {
+  const metadata = {};
+  const chunkKeys = [];
+  for (const key of Object.keys(refs)) {
+    if (/(^|\/)\.z(group|array|attrs)$/.test(key)) metadata[key] = refs[key];
+    else if (!/(^|\/)\.zmetadata$/.test(key)) chunkKeys.push(key);
+  }
+  if (!Object.keys(metadata).length) throw new Error('Reference file contains no .zgroup/.zarray/.zattrs entries');
+  const tree = buildTree({ metadata });
+  const byArray = new Map();
+  let count = 0;
+  for (const key of chunkKeys) {
+    const arrPath = arrayPathForKey(tree, key);
+    if (!arrPath) continue;
+    if (!byArray.has(arrPath)) byArray.set(arrPath, []);
+    // Array paths carry a leading "/" that keys lack, so the slice also drops the "/" separator
+    byArray.get(arrPath).push({ key: key.slice(arrPath.length), ref: parseChunkRef(refs[key], templates) });
+    count++;
+  }
+  // "gen" entries describe ranges of keys via templated expressions; we report but do not expand them
+  tree.refs = { kind: 'json', byArray, count, generated: gen.length };
+  return tree;
 }
 
-function firstChildOf(tree, path) {
-  const node = tree.pathMap.get(path);
-  if (!node || !node.children.length) return null;
-  // Choose first GROUP child only
-  for (const name of node.children) {
-    const child = tree.pathMap.get(join(path, name));
-    if (child && child.type === "group") return child.path;
+// Longest key prefix that is an array in the tree, e.g. "a/b/0.0" -> "/a/b"
+function arrayPathForKey(tree, key) {
+  const segs = key.split('/');
+  for (let i = segs.length - 1; i > 0; i--) {
+    const p = normalizePath('/' + segs.slice(0, i).join('/'));
+    if (tree.pathMap.get(p)?.type === 'array') return p;
   }
   return null;
 }
 
-function join(parent, childBase) {
-  const pp = normalizePath(parent);
-  const out = pp === "/" ? `/${childBase}` : `${pp}/${childBase}`;
-  return normalizePath(out);
+// Reference values: "base64:..." or plain text (inline), [url] (whole file), [url, offset, length]
+function parseChunkRef(value, templates = {}) {
+  if (typeof value === 'string') {
+    if (value.startsWith('base64:')) {
+      const b64 = value.slice(7);
+      return { kind: 'inline', data: value, length: Math.floor((b64.length * 3) / 4) - (b64.match(/=*$/)[0].length) };
+    }
+    return { kind: 'inline', data: value, length: new TextEncoder().encode(value).length };
+  }
+  if (Array.isArray(value) && typeof value[0] === 'string') {
+    const url = value[0].replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (name in templates ? templates[name] : m));
+    if (value.length >= 3) return { kind: 'range', url, offset: Number(value[1]), length: Number(value[2]) };
+    return { kind: 'file', url, offset: 0, length: null };
+  }
+  return { kind: 'unknown', data: value, length: null };
 }
 
-function setStatus(msg) { statusEl().textContent = msg; }
+// fsspec Parquet references: chunk i (row-major over the chunk grid) is row i % record_size of
+// <var>/refs.<floor(i / record_size)>.parq, with columns path/offset/size/raw
+async function loadParquetChunkRefs(tree, arr) {
+  const refs = tree.refs;
+  if (refs.cache.has(arr.path)) return refs.cache.get(arr.path);
+  const model = arr.array;
+  const counts = model.chunks ? chunkCounts(model.shape, model.chunks) : [];
+  const total = product(counts) || 1;
+  const files = Math.ceil(total / refs.recordSize);
+  const { parquetReadObjects, asyncBufferFromUrl } = await import("https://esm.sh/hyparquet@1?bundle");
+  const { compressors } = await import("https://esm.sh/hyparquet-compressors@1?bundle");
+  const limit = createLimiter(4);
+  const entries = [];
+  await Promise.all(Array.from({ length: files }, (_, f) => limit(async () => {
+    const url = `${normalizeBase(refs.base)}${arr.path}/refs.${f}.parq`;
+    const head = await refs.store.request(url, { method: "HEAD" });
+    if (head.status === 404 || head.status === 403) return; // no record file: all chunks in it are missing
+    if (!head.ok) throw new Error(`${head.status} ${head.statusText}`);
+    const byteLength = Number(head.headers.get('content-length')) || undefined;
+    const file = await asyncBufferFromUrl({ url: refs.store.requestUrl(url), byteLength, requestInit: { headers: refs.store.headers } });
+    const rows = await parquetReadObjects({ file, columns: ['path', 'offset', 'size', 'raw'], compressors });
+    rows.forEach((row, r) => {
+      const index = f * refs.recordSize + r;
+      if (index >= total) return;
+      const key = chunkKey(model, unravelIndex(index, counts));
+      let ref;
+      if (row.raw != null) ref = { kind: 'inline', data: row.raw, length: row.raw.length };
+      else if (row.path) ref = Number(row.size) > 0
+        ? { kind: 'range', url: row.path, offset: Number(row.offset), length: Number(row.size) }
+        : { kind: 'file', url: row.path, offset: 0, length: null };
+      else return; // no reference: chunk is missing (fill value)
+      entries.push({ key, ref, index });
+    });
+  })));
+  entries.sort((a, b) => a.index - b.index);
+  refs.cache.set(arr.path, entries);
+  return entries;
+}
 
-function renderActive() {
-  const { tree, activePath } = state;
-  const el = slideEl();
-  try {
-    if (!tree) {
-      el.innerHTML = `<div class="placeholder">Enter a Zarr store URL and click Load.</div>`;
-      renderSidebar();
-      return;
-    }
-    const node = tree.pathMap.get(activePath);
-    if (!node) {
-      el.innerHTML = `<div class="error">Path not found: ${escapeHtml(activePath)}</div>`;
-      renderSidebar();
-      return;
-    }
+function unravelIndex(index, counts) {
+  const coords = new Array(counts.length);
+  let rem = index;
+  for (let d = counts.length - 1; d >= 0; d--) {
+    coords[d] = rem % counts[d];
+    rem = Math.floor(rem / counts[d]);
+  }
+  return coords;
+}
 
-  const crumbs = breadcrumb(activePath)
-    .map((p, i, arr) => `<span>${escapeHtml(basename(p) || "/")}${i < arr.length - 1 ? " / " : ""}</span>`)
+const REFS_PREVIEW_ROWS = 20;
+
+function renderChunkRefs(entries, arr) {
+  const model = arr.array || {};
+  const expected = model.chunks ? product(chunkCounts(model.shape, model.chunks)) : null;
+  const targets = new Map();
+  let inline = 0;
+  let inlineBytes = 0;
+  let rangeBytes = 0;
+  for (const { ref } of entries) {
+    if (ref.kind === 'inline') { inline++; inlineBytes += ref.length || 0; continue; }
+    if (ref.url) targets.set(ref.url, (targets.get(ref.url) || 0) + 1);
+    if (ref.length) rangeBytes += ref.length;
+  }
+  const summary = [
+    ["references", `${entries.length.toLocaleString()}${expected != null ? ` of ${expected.toLocaleString()} chunk(s)` : ""}`],
+    ["target files", targets.size.toLocaleString()],
+    ["referenced bytes", humanBytes(rangeBytes)],
+    ["inline", `${inline.toLocaleString()} (${humanBytes(inlineBytes)})`],
+  ];
+  const fileRows = Array.from(targets.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([url, n]) => `<div class="label">${n.toLocaleString()}×</div><div class="value">${escapeHtml(url)}</div>`)
     .join("");
+  const rows = entries.slice(0, REFS_PREVIEW_ROWS).map(({ key, ref }) => {
+    const target = ref.kind === 'inline' ? `<span class="small">inline</span>` : escapeHtml(ref.url || '?');
+    const offset = ref.kind === 'range' ? ref.offset.toLocaleString() : ref.kind === 'file' ? '0' : '';
+    const length = ref.length != null ? humanBytes(ref.length) : ref.kind === 'file' ? 'whole file' : '';
+    return `<tr><td>${escapeHtml(key)}</td><td>${target}</td><td>${offset}</td><td>${length}</td></tr>`;
+  }).join("");
+  const more = entries.length > REFS_PREVIEW_ROWS ? `<div class="small">Showing ${REFS_PREVIEW_ROWS} of ${entries.length.toLocaleString()} references.</div>` : "";
+  return `
+    <div class="meta small">${summary.map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join("")}</div>
+    ${fileRows ? `<div class="small" style="margin-top:6px">Most referenced files</div><div class="meta small">${fileRows}</div>` : ""}
+    ${rows ? `<div class="pivot-wrap"><table class="refs-table"><thead><tr><th>key</th><th>target</th><th>offset</th><th>length</th></tr></thead><tbody>${rows}</tbody></table></div>${more}` : ""}
+  `;
+}
 
-  const parts = [];
-  parts.push(`<div class="breadcrumb">${crumbs}</div>`);
-  // (header contains copy buttons; no in-content copy buttons)
-  if (node.type === "array") {
-    parts.push(`<div class="node-title">Array <span class="badge">${escapeHtml(activePath)}</span></div>`);
-    const metaRows = [];
-    metaRows.push(["type", "array"]);
-    const za = node.zarray || {};
-    if (za.shape) metaRows.push(["shape", JSON.stringify(za.shape)]);
-    if (za.dtype) metaRows.push(["dtype", String(za.dtype)]);
-    if (za.chunks) metaRows.push(["chunks", JSON.stringify(za.chunks)]);
-    if (za.chunk_grid) metaRows.push(["chunk_grid", JSON.stringify(za.chunk_grid)]);
-    if (za.codecs) metaRows.push(["codecs", JSON.stringify(za.codecs)]);
-    if (za.compressor) metaRows.push(["compressor", JSON.stringify(za.compressor)]);
-    parts.push(`<div class="meta">${metaRows.map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join("")}</div>`);
-    // Chunks and Attributes side-by-side
-    const chunkMatrix = renderChunkMatrix(node);
-    const hasAttrs = node.attrs && Object.keys(node.attrs).length;
-    const chunksSection = chunkMatrix ? `
-      <div class="section-col">
-        <details open>
-          <summary>Chunks</summary>
-          ${chunkMatrix}
-        </details>
+function renderVarRefsDetails(arr) {
+  const refs = state.tree?.refs;
+  if (!refs || !arr || arr.type !== 'array') return "";
+  if (refs.kind === 'json') {
+    const entries = refs.byArray.get(arr.path) || [];
+    const gen = refs.generated ? `<div class="small">${refs.generated} generated reference range(s) are not expanded.</div>` : "";
+    return `<details class="var-refs"><summary>Chunk references</summary>${renderChunkRefs(entries, arr)}${gen}</details>`;
+  }
+  // Parquet references are read on demand when the details are opened
+  return `<details class="var-refs" data-refs-path="${escapeHtml(arr.path)}"><summary>Chunk references</summary><div class="refs-host small">Loading references...</div></details>`;
+}
+
+function bindRefsDetails() {
+  document.querySelectorAll("details.var-refs[data-refs-path]").forEach((d) => {
+    d.addEventListener("toggle", async () => {
+      if (!d.open || d.dataset.loaded) return;
+      d.dataset.loaded = "1";
+      const host = d.querySelector(".refs-host");
+      const arr = state.tree?.pathMap.get(d.getAttribute("data-refs-path"));
+      if (!arr || !host) return;
+      try {
+        const entries = await loadParquetChunkRefs(state.tree, arr);
+        host.classList.remove("small");
+        host.innerHTML = renderChunkRefs(entries, arr);
+      } catch (e) {
+        host.innerHTML = `<div class="error">Failed to read Parquet references: ${escapeHtml(e.message || String(e))}</div>`;
+      }
+    });
+  });
+}
+
+// --- Reading values (zarrita) ---
+
+const PREVIEW_MAX_ELEMENTS = 1 << 24; // refuse selections that would not fit comfortably in memory
+const PREVIEW_MAX_ROWS = 50;
+const PREVIEW_MAX_COLS = 12;
+
+async function loadZarrita() {
+  await zarritaReady;
+  if (!zarrita) throw new Error('zarrita could not be loaded from the CDN; values cannot be read.');
+  return zarrita;
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+// Store view of a reference set for zarrita: metadata documents come from the tree, chunk keys
+// resolve through the references (inline data, byte ranges or whole target files)
+function createReferenceStore(tree, store) {
+  const lookups = new Map(); // array path -> Promise<Map<chunk key, ref>>
+  const refsFor = (arr) => {
+    if (!lookups.has(arr.path)) {
+      const entries = tree.refs.kind === 'json'
+        ? Promise.resolve(tree.refs.byArray.get(arr.path) || [])
+        : loadParquetChunkRefs(tree, arr);
+      lookups.set(arr.path, entries.then((list) => new Map(list.map((e) => [e.key, e.ref]))));
+    }
+    return lookups.get(arr.path);
+  };
+  // Relative targets are relative to the reference file. A target that cannot be resolved fails only
+  // the chunks that point at it.
+  const resolveTarget = (url) => {
+    try {
+      return new URL(resolveCloudUri(url), store?.url).href;
+    } catch {
+      throw new Error(`Cannot resolve reference target "${url}" relative to ${store?.label || "the reference file"}`);
+    }
+  };
+  // Targets on the store's own host get its headers and query token; other hosts are fetched plainly
+  const request = (url, init = {}) => {
+    const target = resolveTarget(url);
+    if (store?.request && store.url && new URL(target).origin === new URL(store.url).origin) return store.request(target, init);
+    return fetch(target, { mode: "cors", ...init });
+  };
+  const readRef = async (ref) => {
+    if (ref.kind === 'inline') {
+      if (ref.data instanceof Uint8Array) return ref.data;
+      const text = String(ref.data);
+      return text.startsWith('base64:') ? base64ToBytes(text.slice(7)) : new TextEncoder().encode(text);
+    }
+    if (ref.kind !== 'range' && ref.kind !== 'file') return undefined;
+    const init = ref.kind === 'range' ? { headers: { Range: `bytes=${ref.offset}-${ref.offset + ref.length - 1}` } } : {};
+    const res = await request(ref.url, init);
+    if (res.status === 404 || res.status === 403) return undefined;
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${ref.url}`);
+    return new Uint8Array(await res.arrayBuffer());
+  };
+  const encodeJson = (doc) => new TextEncoder().encode(JSON.stringify(doc));
+  return {
+    kind: "references",
+    label: store?.label || "references",
+    async get(key) {
+      const k = stripLeadingSlash(key);
+      const meta = k.match(/^(?:(.*)\/)?\.(zarray|zattrs|zgroup)$/);
+      if (meta) {
+        const node = tree.pathMap.get(normalizePath('/' + (meta[1] || '')));
+        if (!node) return undefined;
+        if (meta[2] === 'zattrs') return encodeJson(node.attrs || {});
+        if (meta[2] === 'zarray') return node.type === 'array' ? encodeJson(node.zarray) : undefined;
+        return node.type === 'group' ? encodeJson({ zarr_format: 2 }) : undefined;
+      }
+      const arrPath = arrayPathForKey(tree, k);
+      if (!arrPath) return undefined;
+      const refs = await refsFor(tree.pathMap.get(arrPath));
+      const ref = refs.get(k.slice(arrPath.length));
+      return ref ? readRef(ref) : undefined;
+    },
+  };
+}
+
+const zarrArrays = new WeakMap(); // array node -> Promise<zarrita Array>
+const referenceStores = new WeakMap(); // tree -> reference store
+
+function openZarrArray(arr) {
+  if (!zarrArrays.has(arr)) {
+    const opening = (async () => {
+      const zarr = await loadZarrita();
+      let store = state.store;
+      if (state.tree.refs) {
+        if (!referenceStores.has(state.tree)) referenceStores.set(state.tree, createReferenceStore(state.tree, state.store));
+        store = referenceStores.get(state.tree);
+      }
+      const location = zarr.root(store).resolve(arr.path);
+      return arr.array?.zarrFormat === 3
+        ? zarr.open.v3(location, { kind: 'array' })
+        : zarr.open.v2(location, { kind: 'array', attrs: false });
+    })();
+    opening.catch(() => zarrArrays.delete(arr));
+    zarrArrays.set(arr, opening);
+  }
+  return zarrArrays.get(arr);
+}
+
+// Read a box of an array; `ranges` holds one [start, stop) or [start, stop, step] per dimension.
+// Returns { data, shape, stride } with data a typed array (or plain array for strings/objects).
+async function readArrayRegion(arr, ranges) {
+  const zarr = await loadZarrita();
+  const za = await openZarrArray(arr);
+  if (!ranges.length) {
+    const value = await zarr.get(za);
+    return value && value.data ? value : { data: [value], shape: [], stride: [] };
+  }
+  return zarr.get(za, ranges.map(([start, stop, step]) => zarr.slice(start, stop, step)));
+}
+
+// Selection text like "0, 10:20, :" -> [[0, 1], [10, 20], [0, n]]; negative indices count from the end
+function parseSelection(text, shape) {
+  const parts = String(text).trim() ? String(text).split(',') : [];
+  if (parts.length !== shape.length) throw new Error(`Selection needs ${shape.length} comma-separated entr${shape.length === 1 ? 'y' : 'ies'} (one per dimension).`);
+  return parts.map((raw, i) => {
+    const n = shape[i];
+    const toIndex = (v, fallback) => {
+      if (v.trim() === '') return fallback;
+      const x = Number(v);
+      if (!Number.isInteger(x)) throw new Error(`Invalid index "${v.trim()}" in dimension ${i}.`);
+      return Math.min(Math.max(x < 0 ? n + x : x, 0), n);
+    };
+    const [a, b, extra] = raw.split(':');
+    if (extra !== undefined) throw new Error('Steps are not supported in selections.');
+    const start = toIndex(a, 0);
+    const stop = b === undefined ? start + 1 : toIndex(b, n);
+    if (stop <= start || start >= n) throw new Error(`Empty selection in dimension ${i}.`);
+    return [start, stop];
+  });
+}
+
+// Default selection: the first chunk (inner chunk for sharded arrays)
+function firstChunkSelection(model) {
+  const chunks = model.sharding?.chunkShape || model.chunks || model.shape.map(() => 10);
+  return model.shape.map((n, i) => `0:${Math.min(n, chunks[i] || n)}`).join(', ');
+}
+
+// xarray-style mask and scale: _FillValue/missing_value become NaN, then value * scale_factor + add_offset.
+// For v2 arrays without a _FillValue attribute the .zarray fill_value is used, as xarray does.
+function cfDecoder(arr) {
+  const attrs = arr.attrs || {};
+  const model = arr.array || {};
+  const fills = [attrs._FillValue, attrs.missing_value].flat().filter((v) => v != null).map((v) => Number(decodeFillValue(v)));
+  if (attrs._FillValue === undefined && model.zarrFormat === 2 && typeof model.fillValue === 'number') fills.push(model.fillValue);
+  const scale = attrs.scale_factor != null ? Number(attrs.scale_factor) : 1;
+  const offset = attrs.add_offset != null ? Number(attrs.add_offset) : 0;
+  const applied = [];
+  const maskable = fills.filter((f) => !Number.isNaN(f));
+  if (maskable.length) applied.push(`masked ${maskable.join(', ')}`);
+  if (scale !== 1) applied.push(`scale_factor=${scale}`);
+  if (offset !== 0) applied.push(`add_offset=${offset}`);
+  const decode = (v) => {
+    if (typeof v !== 'number' && typeof v !== 'bigint') return v;
+    const x = Number(v);
+    if (maskable.includes(x)) return NaN;
+    return x * scale + offset;
+  };
+  return { decode, applied, maskable, scale, offset };
+}
+
+function formatValue(v) {
+  if (typeof v === 'bigint') return v.toString();
+  if (typeof v === 'number') {
+    if (Number.isNaN(v)) return 'nan';
+    if (Number.isInteger(v) || !Number.isFinite(v)) return String(v);
+    return String(Number(v.toPrecision(6)));
+  }
+  if (v == null) return 'null';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+// Values of a region as a table: 1D as index/value rows, ND as the last two dims with leading dims at their start
+function renderValueTable(result, ranges, dims, decode) {
+  const { data, shape, stride } = result;
+  const at = (idx) => decode(data[idx.reduce((off, x, i) => off + x * stride[i], 0)]);
+  const cell = (v) => `<td class="${typeof v === 'number' && Number.isNaN(v) ? 'muted' : ''}">${escapeHtml(formatValue(v))}</td>`;
+  if (!shape.length) return `<table class="values-table"><tbody><tr>${cell(decode(data[0]))}</tr></tbody></table>`;
+  const nd = shape.length;
+  const notes = [];
+  if (nd > 2) notes.push(`${dims.slice(0, nd - 2).map((d, i) => `${d}=${ranges[i][0]}`).join(', ')}`);
+  if (nd === 1) {
+    const rows = Math.min(shape[0], PREVIEW_MAX_ROWS);
+    if (rows < shape[0]) notes.push(`first ${rows} of ${shape[0]} values`);
+    const body = Array.from({ length: rows }, (_, r) => `<tr><th>${ranges[0][0] + r}</th>${cell(at([r]))}</tr>`).join('');
+    return `${notes.length ? `<div class="small">Showing ${escapeHtml(notes.join('; '))}</div>` : ''}<table class="values-table"><thead><tr><th>${escapeHtml(dims[0])}</th><th>value</th></tr></thead><tbody>${body}</tbody></table>`;
+  }
+  const rows = Math.min(shape[nd - 2], PREVIEW_MAX_ROWS);
+  const cols = Math.min(shape[nd - 1], PREVIEW_MAX_COLS);
+  if (rows < shape[nd - 2] || cols < shape[nd - 1]) notes.push(`${rows} of ${shape[nd - 2]} rows × ${cols} of ${shape[nd - 1]} columns`);
+  const lead = new Array(nd - 2).fill(0);
+  const head = `<tr><th>${escapeHtml(dims[nd - 2])} \\ ${escapeHtml(dims[nd - 1])}</th>${Array.from({ length: cols }, (_, c) => `<th>${ranges[nd - 1][0] + c}</th>`).join('')}</tr>`;
+  const body = Array.from({ length: rows }, (_, r) => `<tr><th>${ranges[nd - 2][0] + r}</th>${Array.from({ length: cols }, (_, c) => cell(at([...lead, r, c]))).join('')}</tr>`).join('');
+  return `${notes.length ? `<div class="small">Showing ${escapeHtml(notes.join('; '))}</div>` : ''}<div class="values-wrap"><table class="values-table"><thead>${head}</thead><tbody>${body}</tbody></table></div>`;
+}
+
+function renderVarPreviewDetails(arr) {
+  const model = arr?.array;
+  if (!model || arr.type !== 'array') return "";
+  return `<details class="var-preview" data-preview-path="${escapeHtml(arr.path)}"><summary>Preview values</summary>
+    <div class="preview-controls">
+      <label>Selection <input type="text" class="preview-sel" value="${escapeHtml(firstChunkSelection(model))}" spellcheck="false" title="start:stop per dimension, e.g. 0, 10:20, :" /></label>
+      <label><input type="checkbox" class="preview-decode" checked /> Apply scale_factor / add_offset / _FillValue</label>
+      <button type="button" class="preview-run">Read</button>
+    </div>
+    <div class="preview-host small">Reading the first chunk...</div>
+  </details>`;
+}
+
+async function runPreview(d) {
+  const arr = state.tree?.pathMap.get(d.getAttribute("data-preview-path"));
+  const host = d.querySelector(".preview-host");
+  if (!arr || !host) return;
+  const dims = inferArrayDims(arr);
+  let ranges;
+  try {
+    ranges = parseSelection(d.querySelector(".preview-sel").value, arr.array.shape);
+  } catch (e) {
+    host.innerHTML = `<div class="error">${escapeHtml(e.message)}</div>`;
+    return;
+  }
+  const count = product(ranges.map(([a, b]) => b - a));
+  if (count > PREVIEW_MAX_ELEMENTS) {
+    host.innerHTML = `<div class="error">Selection has ${count.toLocaleString()} values; narrow it to at most ${PREVIEW_MAX_ELEMENTS.toLocaleString()}.</div>`;
+    return;
+  }
+  host.classList.add("small");
+  host.textContent = `Reading ${count.toLocaleString()} value(s)...`;
+  const started = performance.now();
+  try {
+    const result = await readArrayRegion(arr, ranges);
+    const cf = d.querySelector(".preview-decode").checked ? cfDecoder(arr) : { decode: (v) => v, applied: [] };
+    const took = Math.round(performance.now() - started);
+    const decoded = cf.applied.length ? `CF decoding: ${cf.applied.join(', ')}` : 'No CF decoding applied';
+    host.classList.remove("small");
+    host.innerHTML = `<div class="small">${escapeHtml(decoded)} · ${count.toLocaleString()} value(s) read in ${took} ms</div>${renderValueTable(result, ranges, dims, cf.decode)}`;
+  } catch (e) {
+    console.warn('[zarr] preview failed for', arr.path, e);
+    host.innerHTML = `<div class="error">Failed to read values: ${escapeHtml(e.message || String(e))}</div>`;
+  }
+}
+
+function bindPreviewDetails() {
+  document.querySelectorAll("details.var-preview[data-preview-path]").forEach((d) => {
+    d.addEventListener("toggle", () => {
+      if (!d.open || d.dataset.loaded) return;
+      d.dataset.loaded = "1";
+      runPreview(d);
+    });
+    d.querySelector(".preview-run")?.addEventListener("click", () => runPreview(d));
+    d.querySelector(".preview-sel")?.addEventListener("keydown", (e) => {
+      // Keep arrow keys and Enter inside the field instead of navigating the tree
+      e.stopPropagation();
+      if (e.key === "Enter") runPreview(d);
+    });
+  });
+}
+
+// --- Coordinate summaries (CF time decoding) ---
+
+const COORD_FULL_READ_MAX = 100000; // 1D coordinates up to this length are read fully, longer ones by first/last chunk
+
+const floorDiv = (a, b) => Math.floor(a / b);
+
+// Julian day numbers for the Gregorian and Julian calendars (valid for negative years too)
+function gregorianToJdn(y, m, d) {
+  const a = floorDiv(14 - m, 12); const yy = y + 4800 - a; const mm = m + 12 * a - 3;
+  return d + floorDiv(153 * mm + 2, 5) + 365 * yy + floorDiv(yy, 4) - floorDiv(yy, 100) + floorDiv(yy, 400) - 32045;
+}
+function jdnToGregorian(j) {
+  const a = j + 32044; const b = floorDiv(4 * a + 3, 146097); const c = a - floorDiv(146097 * b, 4);
+  const d = floorDiv(4 * c + 3, 1461); const e = c - floorDiv(1461 * d, 4); const m = floorDiv(5 * e + 2, 153);
+  return [100 * b + d - 4800 + floorDiv(m, 10), m + 3 - 12 * floorDiv(m, 10), e - floorDiv(153 * m + 2, 5) + 1];
+}
+function julianToJdn(y, m, d) {
+  const a = floorDiv(14 - m, 12); const yy = y + 4800 - a; const mm = m + 12 * a - 3;
+  return d + floorDiv(153 * mm + 2, 5) + 365 * yy + floorDiv(yy, 4) - 32083;
+}
+function jdnToJulian(j) {
+  const c = j + 32082; const d = floorDiv(4 * c + 3, 1461); const e = c - floorDiv(1461 * d, 4); const m = floorDiv(5 * e + 2, 153);
+  return [d - 4800 + floorDiv(m, 10), m + 3 - 12 * floorDiv(m, 10), e - floorDiv(153 * m + 2, 5) + 1];
+}
+
+// Calendars with the same month lengths every year (noleap, all_leap, 360_day)
+function fixedCalendar(monthDays) {
+  const yearDays = monthDays.reduce((a, b) => a + b, 0);
+  const before = monthDays.map((_, i) => monthDays.slice(0, i).reduce((a, b) => a + b, 0));
+  return {
+    toDays: (y, m, d) => y * yearDays + before[m - 1] + d - 1,
+    fromDays: (n) => {
+      const y = floorDiv(n, yearDays);
+      let r = n - y * yearDays;
+      let m = 0;
+      while (m < 11 && r >= monthDays[m]) r -= monthDays[m++];
+      return [y, m + 1, r + 1];
+    },
+  };
+}
+
+// The standard calendar is Julian before 1582-10-15 and Gregorian from then on
+const GREGORIAN_START_JDN = 2299161;
+const hybridCalendar = {
+  toDays: (y, m, d) => (y * 10000 + m * 100 + d >= 15821015 ? gregorianToJdn(y, m, d) : julianToJdn(y, m, d)),
+  fromDays: (j) => (j >= GREGORIAN_START_JDN ? jdnToGregorian(j) : jdnToJulian(j)),
+};
+
+const CF_CALENDARS = {
+  standard: hybridCalendar,
+  gregorian: hybridCalendar,
+  proleptic_gregorian: { toDays: gregorianToJdn, fromDays: jdnToGregorian },
+  julian: { toDays: julianToJdn, fromDays: jdnToJulian },
+  noleap: fixedCalendar([31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]),
+  "365_day": fixedCalendar([31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]),
+  all_leap: fixedCalendar([31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]),
+  "366_day": fixedCalendar([31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]),
+  "360_day": fixedCalendar(new Array(12).fill(30)),
+};
+
+const CF_TIME_UNITS = {
+  nanoseconds: 1e-9, ns: 1e-9,
+  microseconds: 1e-6, us: 1e-6,
+  milliseconds: 1e-3, ms: 1e-3,
+  seconds: 1, second: 1, secs: 1, sec: 1, s: 1,
+  minutes: 60, minute: 60, mins: 60, min: 60,
+  hours: 3600, hour: 3600, hrs: 3600, hr: 3600, h: 3600,
+  days: 86400, day: 86400, d: 86400,
+};
+const DATETIME64_UNITS = { ns: "nanoseconds", us: "microseconds", ms: "milliseconds", s: "seconds", m: "minutes", h: "hours", D: "days" };
+
+// CF "<unit> since <reference date>" with a calendar -> { decode(value) -> { days, seconds }, calendar, unitSeconds }
+// Returns null for non-time units and for month/year units, which CF leaves ill-defined.
+function cfTimeDecoder(units, calendarName) {
+  const m = String(units || "").trim().match(/^(\w+)\s+since\s+(.+)$/i);
+  if (!m) return null;
+  const unitSeconds = CF_TIME_UNITS[m[1].toLowerCase()];
+  const calendar = String(calendarName || "standard").toLowerCase();
+  const cal = CF_CALENDARS[calendar];
+  const ref = m[2].trim().match(/^(-?\d{1,4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{1,2})(?::(\d{1,2}(?:\.\d*)?))?)?\s*(Z|UTC|[+-]\d{1,2}(?::?\d{2})?)?$/i);
+  if (!unitSeconds || !cal || !ref) return null;
+  let refSeconds = Number(ref[4] || 0) * 3600 + Number(ref[5] || 0) * 60 + Number(ref[6] || 0);
+  const tz = ref[7] && ref[7].match(/^([+-])(\d{1,2}):?(\d{2})?$/);
+  if (tz) refSeconds -= (tz[1] === "-" ? -1 : 1) * (Number(tz[2]) * 3600 + Number(tz[3] || 0) * 60);
+  const refDays = cal.toDays(Number(ref[1]), Number(ref[2]), Number(ref[3]));
+  return {
+    calendar,
+    unitSeconds,
+    decode(value) {
+      // Round to milliseconds before splitting so 23:59:59.9996 carries into the next day
+      const total = Math.round((refSeconds + Number(value) * unitSeconds) * 1000) / 1000;
+      const days = floorDiv(total, 86400);
+      return { date: cal.fromDays(refDays + days), seconds: total - days * 86400 };
+    },
+  };
+}
+
+function formatCfDate({ date, seconds }, withTime) {
+  const [y, mo, d] = date;
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const ymd = `${y < 0 ? "-" : ""}${pad(Math.abs(y), 4)}-${pad(mo)}-${pad(d)}`;
+  if (!withTime) return ymd;
+  const s = Math.min(Math.round(seconds * 1000) / 1000, 86399.999);
+  const secs = s % 60;
+  return `${ymd}T${pad(Math.floor(s / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${secs % 1 ? pad(secs.toFixed(3), 6) : pad(secs)}`;
+}
+
+function formatDuration(seconds) {
+  const abs = Math.abs(seconds);
+  for (const [size, name] of [[86400, "day"], [3600, "hour"], [60, "minute"], [1, "second"]]) {
+    if (abs >= size && Math.abs(abs / size - Math.round(abs / size)) < 1e-9) {
+      const n = Math.round(seconds / size);
+      return `${n} ${name}${Math.abs(n) === 1 ? "" : "s"}`;
+    }
+  }
+  return `${formatValue(seconds)} s`;
+}
+
+// Read a 1D coordinate: fully when small, else its first and last chunk. Returns the decoded numbers
+// in reading order plus where the gap between the two chunks sits (null for a full read).
+async function readCoordSample(arr) {
+  const model = arr.array;
+  const n = model.shape[0];
+  if (!n) return { values: [], gapAt: null };
+  const cf = cfDecoder(arr);
+  const toNumbers = (res) => Array.from(res.data, (v) => cf.decode(v));
+  const chunk = (model.sharding?.chunkShape || model.chunks || [n])[0] || n;
+  const lastStart = floorDiv(n - 1, chunk) * chunk;
+  // A single chunk is read whole either way
+  if (n <= COORD_FULL_READ_MAX || lastStart === 0) return { values: toNumbers(await readArrayRegion(arr, [[0, n]])), gapAt: null };
+  const [head, tail] = await Promise.all([
+    readArrayRegion(arr, [[0, Math.min(chunk, n)]]),
+    readArrayRegion(arr, [[lastStart, n]]),
+  ]);
+  const first = toNumbers(head);
+  return { values: first.concat(toNumbers(tail)), gapAt: first.length };
+}
+
+// Steps between consecutive values; across the unread middle only the sign counts for monotonicity
+function analyzeSteps(values, gapAt) {
+  let increasing = true;
+  let decreasing = true;
+  const steps = [];
+  for (let i = 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    if (!(diff > 0)) increasing = false;
+    if (!(diff < 0)) decreasing = false;
+    if (i !== gapAt) steps.push(diff);
+  }
+  const step = steps.length ? steps[0] : null;
+  const regular = step !== null && steps.every((d) => Math.abs(d - step) <= Math.abs(step) * 1e-9);
+  return { increasing, decreasing, step, regular };
+}
+
+// { first, last, step, monotonic, note } for a 1D coordinate, as display strings
+async function summarizeCoord(arr) {
+  const model = arr.array;
+  const attrs = arr.attrs || {};
+  const { values, gapAt } = await readCoordSample(arr);
+  if (!values.length) return { first: "", last: "", step: "", monotonic: "", note: "empty" };
+  const dt64 = String(model.dtype).match(/^(?:datetime|timedelta)64\[(\w+)\]$/);
+  const time = dt64 && model.dtype.startsWith("datetime")
+    ? cfTimeDecoder(`${DATETIME64_UNITS[dt64[1]] || dt64[1]} since 1970-01-01`, "proleptic_gregorian")
+    : cfTimeDecoder(attrs.units, attrs.calendar);
+  const { increasing, decreasing, step, regular } = analyzeSteps(values, gapAt);
+  const monotonic = increasing ? "increasing" : decreasing ? "decreasing" : "not monotonic";
+  const note = gapAt !== null ? "first and last chunk" : "";
+  const first = values[0];
+  const last = values[values.length - 1];
+  if (!time) {
+    const stepText = step === null ? "" : `${regular ? "step" : "irregular, first step"} ${formatValue(step)}`;
+    return { first: formatValue(first), last: formatValue(last), step: stepText, monotonic, note };
+  }
+  if (Number.isNaN(first) || Number.isNaN(last)) {
+    return { first: formatValue(first), last: formatValue(last), step: "", monotonic, note: `${note ? note + ", " : ""}missing times` };
+  }
+  const a = time.decode(first);
+  const b = time.decode(last);
+  const stepSeconds = step === null ? null : step * time.unitSeconds;
+  const withTime = a.seconds !== 0 || b.seconds !== 0 || (stepSeconds !== null && Math.abs(stepSeconds) % 86400 !== 0);
+  const stepText = stepSeconds === null ? "" : `${regular ? "step" : "irregular, first step"} ${formatDuration(stepSeconds)}`;
+  const cal = ["standard", "gregorian", "proleptic_gregorian"].includes(time.calendar) ? "" : time.calendar;
+  return {
+    first: formatCfDate(a, withTime),
+    last: formatCfDate(b, withTime),
+    step: stepText,
+    monotonic,
+    note: [cal, note].filter(Boolean).join(", "),
+  };
+}
+
+const coordSummaries = new WeakMap(); // array node -> Promise<summary>
+
+function renderCoordSummary(arr) {
+  if (!arr?.array || arr.array.shape.length !== 1) return "";
+  return `<span class="coord-summary small" data-summary-path="${escapeHtml(arr.path)}"></span>`;
+}
+
+function bindCoordSummaries() {
+  const limit = createLimiter(4);
+  document.querySelectorAll(".coord-summary[data-summary-path]").forEach((el) => {
+    const arr = state.tree?.pathMap.get(el.getAttribute("data-summary-path"));
+    if (!arr) return;
+    if (!coordSummaries.has(arr)) {
+      // Forget failures so the next render retries instead of replaying the error
+      const pending = limit(() => summarizeCoord(arr));
+      coordSummaries.set(arr, pending);
+      pending.catch(() => { if (coordSummaries.get(arr) === pending) coordSummaries.delete(arr); });
+    }
+    el.textContent = "…";
+    coordSummaries.get(arr).then((sum) => {
+      const range = sum.first === sum.last ? sum.first : `${sum.first} ... ${sum.last}`;
+      el.textContent = [range, sum.step, sum.monotonic].filter(Boolean).join(" · ") + (sum.note ? ` (${sum.note})` : "");
+    }).catch((e) => {
+      console.debug('[zarr] coordinate summary failed for', arr.path, e);
+      el.textContent = "";
+      el.title = `Values not read: ${e.message || e}`;
+    });
+  });
+}
+
+// --- Inline plots (canvas heatmaps and HEALPix maps) ---
+
+const PLOT_MAX_SIDE = 1024; // plotted dims longer than this are read with a step
+const HEALPIX_MAX_CELLS = 12 * 1024 * 1024; // up to nside 1024 (zoom 10)
+
+// Colormaps as evenly spaced color stops, interpolated into 256-entry lookup tables
+const COLORMAPS = {
+  viridis: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+  magma: ["#000004", "#51127c", "#b73779", "#fc8961", "#fcfdbf"],
+  coolwarm: ["#3b4cc0", "#8db0fe", "#dddddd", "#f49a7b", "#b40426"],
+  greys: ["#000000", "#ffffff"],
+};
+const colormapLuts = new Map();
+
+function colormapLut(name) {
+  if (!colormapLuts.has(name)) {
+    const stops = (COLORMAPS[name] || COLORMAPS.viridis).map((hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)));
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+      const t = (i / 255) * (stops.length - 1);
+      const k = Math.min(Math.floor(t), stops.length - 2);
+      const f = t - k;
+      for (let c = 0; c < 3; c++) lut[i * 3 + c] = stops[k][c] + (stops[k + 1][c] - stops[k][c]) * f;
+    }
+    colormapLuts.set(name, lut);
+  }
+  return colormapLuts.get(name);
+}
+
+// nside for a HEALPix cell count (12 * nside^2 with nside a power of two), else 0
+function healpixNside(ncell) {
+  if (!Number.isInteger(ncell) || ncell % 12) return 0;
+  const nside = Math.round(Math.sqrt(ncell / 12));
+  return nside * nside * 12 === ncell && (nside & (nside - 1)) === 0 ? nside : 0;
+}
+
+// HEALPix layout of a variable: a "cell" dimension (or one described by a grid_mapping with healpix_nside)
+// whose size is 12 * nside^2. Pixel ordering comes from the grid mapping's healpix_order, default nest.
+function healpixInfo(arr, dims) {
+  const crs = arr.attrs?.grid_mapping ? state.tree?.pathMap.get(join(dirname(arr.path), String(arr.attrs.grid_mapping))) : null;
+  const crsAttrs = crs?.attrs || {};
+  const shape = arr.array?.shape || [];
+  for (let i = 0; i < dims.length; i++) {
+    const nside = healpixNside(shape[i]);
+    if (!nside) continue;
+    if (dims[i] !== "cell" && Number(crsAttrs.healpix_nside) !== nside) continue;
+    return { dim: i, nside, order: String(crsAttrs.healpix_order || "nest").toLowerCase() === "ring" ? "ring" : "nest" };
+  }
+  return null;
+}
+
+// Interleave the bits of x (even positions) and y (odd positions); arithmetic keeps large nsides exact
+function interleaveBits(x, y) {
+  let out = 0;
+  for (let bit = 0, w = 1; x || y; bit++, w *= 4) {
+    out += ((x & 1) + 2 * (y & 1)) * w;
+    x >>>= 1;
+    y >>>= 1;
+  }
+  return out;
+}
+
+// HEALPix pixel index for z = cos(colatitude) and longitude phi in radians (after Healpix_Base::loc2pix)
+function healpixAng2Pix(nside, order, z, phi) {
+  const za = Math.abs(z);
+  const tt = (((phi * 2) / Math.PI) % 4 + 4) % 4;
+  if (za <= 2 / 3) {
+    const temp1 = nside * (0.5 + tt);
+    const temp2 = nside * z * 0.75;
+    const jp = Math.floor(temp1 - temp2);
+    const jm = Math.floor(temp1 + temp2);
+    if (order === "ring") {
+      const ir = nside + 1 + jp - jm;
+      const kshift = 1 - (ir & 1);
+      const ip = ((Math.floor((jp + jm - nside + kshift + 1) / 2) % (4 * nside)) + 4 * nside) % (4 * nside);
+      return 2 * nside * (nside - 1) + (ir - 1) * 4 * nside + ip;
+    }
+    const ifp = Math.floor(jp / nside);
+    const ifm = Math.floor(jm / nside);
+    const face = ifp === ifm ? (ifp | 4) : ifp < ifm ? ifp : ifm + 8;
+    return face * nside * nside + interleaveBits(jm & (nside - 1), nside - (jp & (nside - 1)) - 1);
+  }
+  const ntt = Math.min(3, Math.floor(tt));
+  const tp = tt - ntt;
+  const tmp = nside * Math.sqrt(3 * (1 - za));
+  let jp = Math.floor(tp * tmp);
+  let jm = Math.floor((1 - tp) * tmp);
+  if (order === "ring") {
+    const ir = jp + jm + 1;
+    const ip = Math.floor(tt * ir) % (4 * ir);
+    return z > 0 ? 2 * ir * (ir - 1) + ip : 12 * nside * nside - 2 * ir * (ir + 1) + ip;
+  }
+  jp = Math.min(jp, nside - 1);
+  jm = Math.min(jm, nside - 1);
+  return z >= 0
+    ? ntt * nside * nside + interleaveBits(nside - jm - 1, nside - jp - 1)
+    : (ntt + 8) * nside * nside + interleaveBits(jp, jm);
+}
+
+// Pixel index for every cell of a width x (width / 2) equirectangular grid, row 0 at the north
+const healpixGrids = new Map();
+function healpixGrid(nside, order, width) {
+  const key = `${nside}/${order}/${width}`;
+  if (!healpixGrids.has(key)) {
+    const height = width / 2;
+    const grid = new Uint32Array(width * height);
+    for (let j = 0; j < height; j++) {
+      const z = Math.cos(((j + 0.5) / height) * Math.PI);
+      for (let i = 0; i < width; i++) grid[j * width + i] = healpixAng2Pix(nside, order, z, ((i + 0.5) / width) * 2 * Math.PI - Math.PI);
+    }
+    healpixGrids.set(key, grid);
+  }
+  return healpixGrids.get(key);
+}
+
+function canPlot(arr) {
+  const shape = arr?.array?.shape || [];
+  return shape.length >= 2 || (shape.length === 1 && !!healpixInfo(arr, inferArrayDims(arr)));
+}
+
+function renderVarPlotDetails(arr) {
+  if (arr?.type !== 'array' || !canPlot(arr)) return "";
+  const dims = inferArrayDims(arr);
+  const shape = arr.array.shape;
+  const hp = healpixInfo(arr, dims);
+  const dimOptions = (selected) => dims.map((d, i) => `<option value="${i}" ${i === selected ? "selected" : ""}>${escapeHtml(d)} (${shape[i]})</option>`).join("");
+  const modes = [
+    hp ? `<option value="healpix">HEALPix map of ${escapeHtml(dims[hp.dim])} (nside ${hp.nside}, ${hp.order})</option>` : "",
+    shape.length >= 2 ? `<option value="slice">2D slice</option>` : "",
+  ].join("");
+  const sliders = dims.map((d, i) => `<label class="plot-slider" data-dim="${i}">${escapeHtml(d)} <input type="range" min="0" max="${Math.max(shape[i] - 1, 0)}" value="0" /> <span class="plot-index">0</span></label>`).join("");
+  const cmaps = Object.keys(COLORMAPS).map((c) => `<option value="${c}">${c}</option>`).join("");
+  return `<details class="var-plot" data-plot-path="${escapeHtml(arr.path)}"><summary>Plot</summary>
+    <div class="plot-controls">
+      <label>Mode <select class="plot-mode">${modes}</select></label>
+      <label class="plot-axis">Y <select class="plot-y">${dimOptions(Math.max(shape.length - 2, 0))}</select></label>
+      <label class="plot-axis">X <select class="plot-x">${dimOptions(shape.length - 1)}</select></label>
+      <label>Colormap <select class="plot-cmap">${cmaps}</select></label>
+      <label><input type="checkbox" class="plot-auto" checked /> Auto limits</label>
+      <label>min <input type="number" class="plot-vmin" step="any" disabled /></label>
+      <label>max <input type="number" class="plot-vmax" step="any" disabled /></label>
+    </div>
+    <div class="plot-controls plot-sliders">${sliders}</div>
+    <div class="plot-host small">Reading...</div>
+    <canvas class="plot-canvas" hidden></canvas>
+    <div class="plot-colorbar" hidden><span class="plot-cb-min"></span><canvas class="plot-cb" width="256" height="1"></canvas><span class="plot-cb-max"></span></div>
+    <div class="plot-readout small"></div>
+  </details>`;
+}
+
+// Current plot settings from the controls of one .var-plot element
+function plotSettings(d, arr) {
+  const ndim = arr.array.shape.length;
+  const mode = d.querySelector(".plot-mode").value;
+  let y = Number(d.querySelector(".plot-y").value);
+  let x = Number(d.querySelector(".plot-x").value);
+  if (x === y) x = (y + 1) % ndim; // never plot a dim against itself
+  const hp = mode === "healpix" ? healpixInfo(arr, inferArrayDims(arr)) : null;
+  const plotted = hp ? [hp.dim] : [y, x];
+  const index = Array.from(d.querySelectorAll(".plot-slider"), (el) => Number(el.querySelector("input").value));
+  return { mode, hp, y, x, plotted, index };
+}
+
+// Show only the sliders of dims that are not plotted, and the axis pickers in slice mode
+function syncPlotControls(d, settings) {
+  d.querySelectorAll(".plot-axis").forEach((el) => { el.hidden = settings.mode === "healpix"; });
+  d.querySelectorAll(".plot-slider").forEach((el) => { el.hidden = settings.plotted.includes(Number(el.dataset.dim)); });
+}
+
+async function drawPlot(d) {
+  const arr = state.tree?.pathMap.get(d.getAttribute("data-plot-path"));
+  const host = d.querySelector(".plot-host");
+  const canvas = d.querySelector(".plot-canvas");
+  if (!arr || !host || !canvas) return;
+  const settings = plotSettings(d, arr);
+  syncPlotControls(d, settings);
+  const shape = arr.array.shape;
+  const dims = inferArrayDims(arr);
+  const ranges = shape.map((n, i) => {
+    if (!settings.plotted.includes(i)) return [settings.index[i], settings.index[i] + 1];
+    if (settings.hp) return [0, n];
+    return [0, n, Math.max(1, Math.ceil(n / PLOT_MAX_SIDE))];
+  });
+  if (settings.hp && shape[settings.hp.dim] > HEALPIX_MAX_CELLS) {
+    host.innerHTML = `<div class="error">${shape[settings.hp.dim].toLocaleString()} cells are too many to map in the browser; open a coarser zoom level.</div>`;
+    return;
+  }
+  // Reuse the last read when only colors changed
+  const key = JSON.stringify(ranges);
+  const token = (d._plotToken = (d._plotToken || 0) + 1);
+  if (d._plotRead?.key !== key) {
+    host.classList.add("small");
+    host.textContent = "Reading...";
+    try {
+      d._plotRead = { key, result: await readArrayRegion(arr, ranges) };
+    } catch (e) {
+      console.warn('[zarr] plot read failed for', arr.path, e);
+      host.innerHTML = `<div class="error">Failed to read values: ${escapeHtml(e.message || String(e))}</div>`;
+      return;
+    }
+    if (token !== d._plotToken) return; // a newer draw started meanwhile
+  }
+  const { result } = d._plotRead;
+  const { decode } = cfDecoder(arr);
+  const at = (idx) => Number(decode(result.data[idx.reduce((off, v, i) => off + v * result.stride[i], 0)]));
+
+  // Resample into a row-major grid (row 0 drawn at the top)
+  let width, height, grid, describe;
+  const idx = new Array(shape.length).fill(0);
+  if (settings.hp) {
+    const { nside, order, dim } = settings.hp;
+    width = Math.min(1440, Math.max(360, 4 * nside));
+    height = width / 2;
+    const pix = healpixGrid(nside, order, width);
+    grid = new Float32Array(pix.length);
+    for (let p = 0; p < pix.length; p++) { idx[dim] = pix[p]; grid[p] = at(idx); }
+    describe = (i, j) => {
+      const lon = ((i + 0.5) / width) * 360 - 180;
+      const lat = 90 - ((j + 0.5) / height) * 180;
+      return `lon ${lon.toFixed(2)}, lat ${lat.toFixed(2)}, ${dims[dim]}=${pix[j * width + i]}`;
+    };
+  } else {
+    const { y, x } = settings;
+    height = result.shape[y];
+    width = result.shape[x];
+    grid = new Float32Array(width * height);
+    // First index of the Y dim at the bottom, as xarray's plots do for increasing coordinates
+    for (let r = 0; r < height; r++) {
+      idx[y] = height - 1 - r;
+      for (let c = 0; c < width; c++) { idx[x] = c; grid[r * width + c] = at(idx); }
+    }
+    describe = (i, j) => `${dims[y]}=${(height - 1 - j) * ranges[y][2]}, ${dims[x]}=${i * ranges[x][2]}`;
+  }
+
+  // Color limits: auto from finite values, else the fixed inputs
+  const vminEl = d.querySelector(".plot-vmin");
+  const vmaxEl = d.querySelector(".plot-vmax");
+  let vmin = Infinity;
+  let vmax = -Infinity;
+  if (d.querySelector(".plot-auto").checked) {
+    for (const v of grid) if (Number.isFinite(v)) { if (v < vmin) vmin = v; if (v > vmax) vmax = v; }
+    if (vmin === Infinity) { vmin = 0; vmax = 1; }
+    vminEl.value = String(Number(vmin.toPrecision(6)));
+    vmaxEl.value = String(Number(vmax.toPrecision(6)));
+  } else {
+    vmin = Number(vminEl.value);
+    vmax = Number(vmaxEl.value);
+  }
+  const ctx = canvas.getContext("2d");
+  if (!ctx) { host.textContent = "Canvas rendering is not available in this browser."; return; }
+  const lut = colormapLut(d.querySelector(".plot-cmap").value);
+  const span = vmax - vmin || 1;
+  canvas.width = width;
+  canvas.height = height;
+  const img = ctx.createImageData(width, height);
+  for (let p = 0; p < grid.length; p++) {
+    const v = grid[p];
+    if (!Number.isFinite(v)) continue; // masked values stay transparent
+    const k = Math.max(0, Math.min(255, Math.round(((v - vmin) / span) * 255))) * 3;
+    img.data[p * 4] = lut[k];
+    img.data[p * 4 + 1] = lut[k + 1];
+    img.data[p * 4 + 2] = lut[k + 2];
+    img.data[p * 4 + 3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  canvas.hidden = false;
+
+  const cb = d.querySelector(".plot-cb");
+  const cbCtx = cb.getContext("2d");
+  const cbImg = cbCtx.createImageData(256, 1);
+  for (let i = 0; i < 256; i++) cbImg.data.set([lut[i * 3], lut[i * 3 + 1], lut[i * 3 + 2], 255], i * 4);
+  cbCtx.putImageData(cbImg, 0, 0);
+  d.querySelector(".plot-cb-min").textContent = formatValue(vmin);
+  d.querySelector(".plot-cb-max").textContent = formatValue(vmax);
+  d.querySelector(".plot-colorbar").hidden = false;
+
+  const fixed = dims.map((name, i) => (settings.plotted.includes(i) ? null : `${name}=${settings.index[i]}`)).filter(Boolean);
+  const units = arr.attrs?.units ? ` [${arr.attrs.units}]` : "";
+  host.classList.add("small");
+  host.textContent = `${basename(arr.path)}${units}${fixed.length ? ` at ${fixed.join(", ")}` : ""} · ${width} × ${height} px`;
+  canvas.onmousemove = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const i = Math.floor(((e.clientX - rect.left) / rect.width) * width);
+    const j = Math.floor(((e.clientY - rect.top) / rect.height) * height);
+    if (i < 0 || j < 0 || i >= width || j >= height) return;
+    d.querySelector(".plot-readout").textContent = `${describe(i, j)}: ${formatValue(grid[j * width + i])}`;
+  };
+}
+
+function bindPlotDetails() {
+  document.querySelectorAll("details.var-plot[data-plot-path]").forEach((d) => {
+    d.addEventListener("toggle", () => {
+      if (!d.open || d.dataset.loaded) return;
+      d.dataset.loaded = "1";
+      drawPlot(d);
+    });
+    d.querySelectorAll("select, .plot-vmin, .plot-vmax").forEach((el) => el.addEventListener("change", () => drawPlot(d)));
+    d.querySelector(".plot-auto").addEventListener("change", (e) => {
+      d.querySelector(".plot-vmin").disabled = e.target.checked;
+      d.querySelector(".plot-vmax").disabled = e.target.checked;
+      drawPlot(d);
+    });
+    d.querySelectorAll(".plot-slider input").forEach((input) => {
+      input.addEventListener("input", () => { input.nextElementSibling.textContent = input.value; });
+      input.addEventListener("change", () => drawPlot(d));
+      // Arrow keys move the slider rather than navigating the tree
+      input.addEventListener("keydown", (e) => e.stopPropagation());
+    });
+  });
+}
+
+// --- Variable statistics (Web Worker) ---
+
+const STATS_DEFAULT_SAMPLE = 8; // chunks read unless "all chunks" is checked
+const STATS_BINS = 20;
+const STATS_RESERVOIR = 100000; // values kept for the histogram
+
+// Workers are built from a function's source so the app stays a single static module; `helpers`
+// are top-level functions the worker body calls (they must not touch the DOM or module state).
+// The Blob URL is resolved when the worker is constructed, so it can be revoked right away.
+function createInlineWorker(fn, helpers = []) {
+  const source = [...helpers.map((h) => h.toString()), `(${fn.toString()})();`].join("\n");
+  const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+  try {
+    return new Worker(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Worker body: accumulates min/max/mean, NaN and fill counts and a reservoir for the histogram over
+// decoded chunks. Messages: init {fills, scale, offset}, chunk {data, stride, extent}, finish.
+function statsWorkerMain() {
+  let acc = null;
+  const visit = (raw) => {
+    acc.count++;
+    if (Number.isNaN(raw)) { acc.nan++; return; }
+    if (acc.fills.includes(raw)) { acc.fill++; return; }
+    const v = raw * acc.scale + acc.offset;
+    acc.valid++;
+    acc.sum += v;
+    if (v < acc.min) acc.min = v;
+    if (v > acc.max) acc.max = v;
+    // Reservoir sampling keeps a uniform sample of all valid values seen so far
+    if (acc.reservoir.length < acc.reservoirSize) acc.reservoir.push(v);
+    else {
+      const j = Math.floor(Math.random() * acc.valid);
+      if (j < acc.reservoirSize) acc.reservoir[j] = v;
+    }
+  };
+  // Walk the in-bounds part of a chunk (edge chunks are padded to the full chunk shape)
+  const accumulate = ({ data, stride, extent }) => {
+    const nd = extent.length;
+    if (!nd) { visit(Number(data[0])); return; }
+    const inner = extent[nd - 1];
+    const step = stride[nd - 1];
+    const outer = extent.slice(0, -1).reduce((a, b) => a * b, 1);
+    const idx = new Array(nd - 1).fill(0);
+    for (let o = 0; o < outer; o++) {
+      let off = 0;
+      for (let i = 0; i < nd - 1; i++) off += idx[i] * stride[i];
+      for (let k = 0; k < inner; k++) visit(Number(data[off + k * step]));
+      for (let i = nd - 2; i >= 0; i--) { if (++idx[i] < extent[i]) break; idx[i] = 0; }
+    }
+  };
+  const summarize = (bins) => {
+    const hist = new Array(bins).fill(0);
+    const span = acc.max - acc.min;
+    for (const v of acc.reservoir) hist[span > 0 ? Math.min(bins - 1, Math.floor(((v - acc.min) / span) * bins)) : 0]++;
+    return {
+      count: acc.count, valid: acc.valid, nan: acc.nan, fill: acc.fill,
+      min: acc.valid ? acc.min : null, max: acc.valid ? acc.max : null, mean: acc.valid ? acc.sum / acc.valid : null,
+      hist, sampled: acc.reservoir.length,
+    };
+  };
+  self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "init") {
+      acc = { fills: msg.fills, scale: msg.scale, offset: msg.offset, reservoirSize: msg.reservoir, count: 0, valid: 0, nan: 0, fill: 0, sum: 0, min: Infinity, max: -Infinity, reservoir: [] };
+    } else if (msg.type === "chunk") {
+      accumulate(msg);
+    } else if (msg.type === "finish") {
+      self.postMessage({ type: "result", stats: summarize(msg.bins) });
+    }
+  };
+}
+
+// Chunk indices spread evenly over the grid (row-major), always including the first and last chunk
+function sampleChunkIndices(total, n) {
+  if (n >= total) return Array.from({ length: total }, (_, i) => i);
+  if (n === 1) return [0];
+  return Array.from(new Set(Array.from({ length: n }, (_, k) => Math.round((k * (total - 1)) / (n - 1)))));
+}
+
+function renderVarStats(arr) {
+  if (arr?.type !== 'array' || !arr.array) return "";
+  return `<div class="var-stats" data-stats-path="${escapeHtml(arr.path)}">
+    <div class="stats-controls">
+      <label>Sample <input type="number" class="stats-sample" min="1" value="${STATS_DEFAULT_SAMPLE}" /> chunk(s)</label>
+      <label><input type="checkbox" class="stats-all" /> All chunks</label>
+      <button type="button" class="stats-run">Compute statistics</button>
+      <button type="button" class="stats-cancel" hidden>Cancel</button>
+      <progress class="stats-progress" max="1" value="0" hidden></progress>
+      <span class="stats-status small"></span>
+    </div>
+    <div class="stats-host"></div>
+  </div>`;
+}
+
+function renderHistogram(hist, min, max) {
+  const peak = Math.max(...hist, 1);
+  const w = 240;
+  const h = 48;
+  const bw = w / hist.length;
+  const bars = hist.map((c, i) => {
+    const bh = (c / peak) * h;
+    return `<rect x="${(i * bw).toFixed(1)}" y="${(h - bh).toFixed(1)}" width="${Math.max(bw - 1, 1).toFixed(1)}" height="${bh.toFixed(1)}"></rect>`;
+  }).join("");
+  return `<div class="stats-hist"><svg viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" role="img" aria-label="Histogram">${bars}</svg>
+    <div class="stats-hist-axis small"><span>${escapeHtml(formatValue(min))}</span><span>${escapeHtml(formatValue(max))}</span></div></div>`;
+}
+
+function renderStatsResult(stats, read, total) {
+  const pct = (n) => (stats.count ? `${((n / stats.count) * 100).toFixed(n && n < stats.count / 1000 ? 3 : 1)}%` : "–");
+  const rows = [
+    ["min", stats.min === null ? "–" : formatValue(stats.min)],
+    ["max", stats.max === null ? "–" : formatValue(stats.max)],
+    ["mean", stats.mean === null ? "–" : formatValue(stats.mean)],
+    ["valid values", `${stats.valid.toLocaleString()} of ${stats.count.toLocaleString()}`],
+    ["NaN", pct(stats.nan)],
+    ["fill", pct(stats.fill)],
+    ["chunks read", `${read.toLocaleString()} of ${total.toLocaleString()}${read < total ? " (sample)" : ""}`],
+  ].map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join("");
+  const hist = stats.valid ? renderHistogram(stats.hist, stats.min, stats.max) : "";
+  return `<div class="stats-result"><div class="meta small">${rows}</div>${hist}</div>`;
+}
+
+const statsJobs = new WeakMap(); // .var-stats element -> running job
+
+function cancelStats(el) {
+  const job = statsJobs.get(el);
+  if (!job) return;
+  job.cancelled = true;
+  job.worker?.terminate();
+  statsJobs.delete(el);
+}
+
+// Chunks are read and decoded through the shared zarrita array; the per-value work runs in a worker
+async function runStats(el) {
+  const arr = state.tree?.pathMap.get(el.getAttribute("data-stats-path"));
+  if (!arr) return;
+  cancelStats(el);
+  const job = { cancelled: false, worker: null };
+  statsJobs.set(el, job);
+  const host = el.querySelector(".stats-host");
+  const status = el.querySelector(".stats-status");
+  const progress = el.querySelector(".stats-progress");
+  const cancelBtn = el.querySelector(".stats-cancel");
+  const finish = (message) => {
+    status.textContent = message;
+    progress.hidden = true;
+    cancelBtn.hidden = true;
+    if (statsJobs.get(el) === job) statsJobs.delete(el);
+  };
+  host.innerHTML = "";
+  cancelBtn.hidden = false;
+  status.textContent = "Opening array...";
+  try {
+    if (typeof Worker === "undefined") throw new Error("Web Workers are not available in this browser.");
+    const za = await openZarrArray(arr);
+    if (job.cancelled) return;
+    const counts = za.shape.map((n, i) => Math.ceil(n / za.chunks[i]));
+    const total = product(counts) || 1;
+    const wanted = el.querySelector(".stats-all").checked ? total : Math.max(1, Number(el.querySelector(".stats-sample").value) || STATS_DEFAULT_SAMPLE);
+    const picks = sampleChunkIndices(total, wanted);
+    const cf = cfDecoder(arr);
+    job.worker = createInlineWorker(statsWorkerMain);
+    const result = new Promise((resolve, reject) => {
+      job.worker.onmessage = (e) => { if (e.data.type === "result") resolve(e.data.stats); };
+      job.worker.onerror = (e) => reject(new Error(e.message || "Statistics worker failed"));
+    });
+    job.worker.postMessage({
+      type: "init",
+      fills: cf.maskable,
+      scale: cf.scale,
+      offset: cf.offset,
+      reservoir: STATS_RESERVOIR,
+    });
+    let done = 0;
+    progress.max = picks.length;
+    progress.value = 0;
+    progress.hidden = false;
+    status.textContent = `Reading 0 / ${picks.length} chunk(s)...`;
+    const limit = createLimiter(4);
+    await Promise.all(picks.map((i) => limit(async () => {
+      if (job.cancelled) return;
+      const coords = unravelIndex(i, counts);
+      const chunk = await za.getChunk(coords);
+      if (job.cancelled) return;
+      if (!ArrayBuffer.isView(chunk.data)) throw new Error(`Statistics need a numeric dtype (got ${arr.array.dtype}).`);
+      const extent = coords.map((c, d) => Math.min(za.chunks[d], za.shape[d] - c * za.chunks[d]));
+      const data = chunk.data.slice();
+      job.worker.postMessage({ type: "chunk", data, stride: chunk.stride, extent }, [data.buffer]);
+      done++;
+      progress.value = done;
+      status.textContent = `Reading ${done} / ${picks.length} chunk(s)...`;
+    })));
+    if (job.cancelled) return;
+    status.textContent = "Summarizing...";
+    job.worker.postMessage({ type: "finish", bins: STATS_BINS });
+    const stats = await result;
+    job.worker.terminate();
+    if (job.cancelled) return;
+    host.innerHTML = renderStatsResult(stats, picks.length, total);
+    finish(cf.applied.length ? `Decoded with ${cf.applied.join(", ")}.` : "");
+  } catch (e) {
+    job.worker?.terminate();
+    if (job.cancelled) return;
+    console.warn('[zarr] statistics failed for', arr.path, e);
+    host.innerHTML = `<div class="error">Failed to compute statistics: ${escapeHtml(e.message || String(e))}</div>`;
+    finish("");
+  }
+}
+
+function bindStats() {
+  document.querySelectorAll(".var-stats[data-stats-path]").forEach((el) => {
+    el.querySelector(".stats-run").addEventListener("click", () => runStats(el));
+    el.querySelector(".stats-cancel").addEventListener("click", () => {
+      cancelStats(el);
+      el.querySelector(".stats-status").textContent = "Cancelled.";
+      el.querySelector(".stats-progress").hidden = true;
+      el.querySelector(".stats-cancel").hidden = true;
+    });
+    el.querySelector(".stats-sample").addEventListener("keydown", (e) => e.stopPropagation());
+  });
+}
+
+// --- Chunk storage audit ---
+
+// Inverse of chunkKey(): "c/1/2", "1.2" or "1/2" -> [1, 2]; null for keys that are not chunks
+function chunkCoordsFromKey(model, key) {
+  const { name, separator } = model.chunkKeyEncoding;
+  let parts = key.split(separator);
+  if (name === 'default') {
+    if (parts[0] !== 'c') return null;
+    parts = parts.slice(1);
+  } else if (!model.shape.length && key === '0') {
+    parts = [];
+  }
+  if (parts.length !== model.shape.length || !parts.every((p) => /^\d+$/.test(p))) return null;
+  return parts.map(Number);
+}
+
+function ravelIndex(coords, counts) {
+  let index = 0;
+  for (let d = 0; d < counts.length; d++) {
+    if (coords[d] >= counts[d]) return -1;
+    index = index * counts[d] + coords[d];
+  }
+  return index;
+}
+
+// Stored objects of an array are its chunks, or its shards for sharded arrays (model.chunks is the shard shape)
+function storedObjectGrid(model) {
+  const counts = model.chunks ? chunkCounts(model.shape, model.chunks) : [];
+  return { counts, total: product(counts) || 1, objectBytes: (product(model.chunks || []) || 1) * (model.itemsize || 0) };
+}
+
+const AUDIT_HEAD_LIMIT = 2000; // HEAD requests per audit; larger grids are sampled evenly
+const AUDIT_MAP_MAX_CELLS = 4 * 1024 * 1024; // grids above this (or wider than a canvas) get no presence map
+const AUDIT_MAP_MAX_SIDE = 16384;
+
+// Sizes per stored object from a reference set: inline data and byte ranges have known lengths
+async function auditFromRefs(tree, arr, sizes, counts) {
+  const entries = tree.refs.kind === 'json' ? tree.refs.byArray.get(arr.path) || [] : await loadParquetChunkRefs(tree, arr);
+  for (const { key, ref } of entries) {
+    const coords = chunkCoordsFromKey(arr.array, key);
+    const index = coords ? ravelIndex(coords, counts) : -1;
+    if (index >= 0) sizes.set(index, ref.length ?? NaN);
+  }
+  return 'references';
+}
+
+// Walk the array's directory through the store listing; returns null when the store cannot list
+async function auditFromListing(store, arr, sizes, counts, job, report) {
+  const base = `${stripLeadingSlash(arr.path)}/`;
+  const root = await store.list(base);
+  if (!root) return null;
+  const limit = createLimiter(CRAWL_CONCURRENCY);
+  let listed = 0;
+  const visit = async (rel, listing) => {
+    listed++;
+    report(`Listed ${listed} director${listed === 1 ? 'y' : 'ies'}...`);
+    for (const f of listing.files) {
+      const coords = chunkCoordsFromKey(arr.array, rel + f.name);
+      const index = coords ? ravelIndex(coords, counts) : -1;
+      if (index >= 0) sizes.set(index, f.size ?? NaN);
+    }
+    await Promise.all(listing.dirs.map(async (d) => {
+      if (job.cancelled) return;
+      const child = await limit(() => store.list(`${base}${rel}${d}/`));
+      if (child) await visit(`${rel}${d}/`, child);
+    }));
+  };
+  await visit('', root);
+  return store.listingKind || 'listing';
+}
+
+// HEAD one key per index in `indices`; 404/403 count as missing
+async function auditWithHead(store, arr, sizes, counts, indices, job, report) {
+  const limit = createLimiter(CRAWL_CONCURRENCY);
+  let done = 0;
+  await Promise.all(indices.map((i) => limit(async () => {
+    if (job.cancelled) return;
+    const key = `${stripLeadingSlash(arr.path)}/${chunkKey(arr.array, unravelIndex(i, counts))}`;
+    const res = await store.request(store.keyUrl(key), { method: "HEAD" });
+    if (res.ok) sizes.set(i, Number(res.headers.get('content-length')) || NaN);
+    else if (res.status === 404 || res.status === 403) sizes.delete(i);
+    else throw new Error(`${res.status} ${res.statusText} for ${key}`);
+    done++;
+    report(`HEAD ${done.toLocaleString()} / ${indices.length.toLocaleString()} key(s)...`, done / indices.length);
+  })));
+}
+
+// sizes: object index -> stored bytes (NaN when present with unknown size); absent indices are missing.
+// `sample` lists the checked indices when only part of the grid was HEAD-requested, else it is null.
+async function auditArrayStorage(arr, job, report) {
+  const store = state.store;
+  const { counts, total } = storedObjectGrid(arr.array);
+  const sizes = new Map();
+  let method;
+  let sample = null;
+  if (state.tree.refs) {
+    method = await auditFromRefs(state.tree, arr, sizes, counts);
+  } else {
+    method = await auditFromListing(store, arr, sizes, counts, job, report);
+    if (!method && store.kind !== 'http') throw new Error('This store cannot be listed.');
+    if (!method) {
+      const indices = sampleChunkIndices(total, AUDIT_HEAD_LIMIT);
+      if (indices.length < total) sample = indices;
+      report(`HEAD 0 / ${indices.length.toLocaleString()} key(s)...`, 0);
+      await auditWithHead(store, arr, sizes, counts, indices, job, report);
+      method = sample ? `HEAD requests on ${indices.length.toLocaleString()} sampled keys` : 'HEAD requests';
+    } else if (store.kind === 'http') {
+      // Directory indexes list names without sizes: HEAD just the objects that exist, a sample of them past the limit
+      const unknown = [];
+      sizes.forEach((v, i) => { if (Number.isNaN(v)) unknown.push(i); });
+      if (unknown.length) {
+        const picks = sampleChunkIndices(unknown.length, AUDIT_HEAD_LIMIT).map((k) => unknown[k]);
+        await auditWithHead(store, arr, sizes, counts, picks, job, report);
+        method += picks.length < unknown.length ? ` + HEAD requests on ${picks.length.toLocaleString()} sampled keys` : ' + HEAD requests';
+      }
+    }
+  }
+  return { method, sizes, counts, total, sample };
+}
+
+function renderAuditSummary(arr, audit) {
+  const { objectBytes } = storedObjectGrid(arr.array);
+  const kind = arr.array.sharding ? 'shards' : 'chunks';
+  const present = [];
+  let unknown = 0;
+  for (const v of audit.sizes.values()) {
+    if (Number.isNaN(v)) unknown++;
+    else present.push(v);
+  }
+  const count = present.length + unknown;
+  const checked = audit.sample ? audit.sample.length : audit.total;
+  const stored = present.reduce((a, b) => a + b, 0);
+  const sorted = present.slice().sort((a, b) => a - b);
+  const rows = [
+    ['method', audit.method],
+    [`${kind} initialized`, `${count.toLocaleString()} of ${checked.toLocaleString()}${audit.sample ? ' sampled' : ''} (${((count / checked) * 100).toFixed(1)}%)`],
+    ['stored bytes', `${humanBytes(stored)}${unknown ? ` (+${unknown} of unknown size)` : ''}`],
+    ['uncompressed bytes', humanBytes(count * objectBytes)],
+    ['compression ratio', !unknown && stored ? `${((count * objectBytes) / stored).toFixed(2)}×` : '–'],
+  ];
+  if (audit.sample) rows.unshift(['sampled', `${checked.toLocaleString()} of ${audit.total.toLocaleString()} ${kind} checked; counts and bytes cover the sample only`]);
+  if (sorted.length) rows.push([`${kind.slice(0, -1)} size min / median / max`, `${humanBytes(sorted[0])} / ${humanBytes(sorted[Math.floor(sorted.length / 2)])} / ${humanBytes(sorted[sorted.length - 1])}`]);
+  return `<div class="meta small">${rows.map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join('')}</div>`;
+}
+
+// Presence map: the last grid dimension across, all leading dimensions flattened down the rows
+function drawAuditMap(el, arr, audit) {
+  const canvas = el.querySelector(".audit-map");
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return;
+  const { counts, sizes, total } = audit;
+  const width = counts.length ? counts[counts.length - 1] : 1;
+  const height = Math.max(1, total / width);
+  const axes = el.querySelector(".audit-axes");
+  if (audit.sample || total > AUDIT_MAP_MAX_CELLS || width > AUDIT_MAP_MAX_SIDE || height > AUDIT_MAP_MAX_SIDE) {
+    if (axes) axes.textContent = audit.sample ? 'No presence map for a sampled audit.' : `No presence map: the grid has ${total.toLocaleString()} objects.`;
+    return;
+  }
+  canvas.width = width;
+  canvas.height = height;
+  const img = ctx.createImageData(width, height);
+  for (let i = 0; i < total; i++) {
+    const rgb = sizes.has(i) ? [22, 163, 74] : [229, 231, 235];
+    img.data.set([...rgb, 255], i * 4);
+  }
+  ctx.putImageData(img, 0, 0);
+  canvas.hidden = false;
+  const dims = inferArrayDims(arr);
+  if (axes) axes.textContent = `columns: ${dims[dims.length - 1] || '–'} ${arr.array.sharding ? 'shards' : 'chunks'}${dims.length > 1 ? `; rows: ${dims.slice(0, -1).join(' × ')}` : ''}`;
+  canvas.onmousemove = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const c = Math.floor(((e.clientX - rect.left) / rect.width) * width);
+    const r = Math.floor(((e.clientY - rect.top) / rect.height) * height);
+    const i = r * width + c;
+    if (c < 0 || r < 0 || c >= width || i >= total) return;
+    const v = sizes.get(i);
+    const key = chunkKey(arr.array, unravelIndex(i, counts));
+    el.querySelector(".audit-readout").textContent = `${key}: ${v === undefined ? 'missing' : Number.isNaN(v) ? 'present' : humanBytes(v)}`;
+  };
+}
+
+function renderVarAudit(arr) {
+  if (arr?.type !== 'array' || !arr.array?.chunks) return "";
+  return `<div class="var-audit" data-audit-path="${escapeHtml(arr.path)}">
+    <div class="stats-controls">
+      <button type="button" class="audit-run">Audit storage</button>
+      <button type="button" class="stats-cancel audit-cancel" hidden>Cancel</button>
+      <progress class="audit-progress" max="1" value="0" hidden></progress>
+      <span class="audit-status small"></span>
+    </div>
+    <div class="audit-host"></div>
+    <canvas class="audit-map" hidden></canvas>
+    <div class="audit-axes small"></div>
+    <div class="audit-readout small"></div>
+  </div>`;
+}
+
+const auditJobs = new WeakMap(); // .var-audit element -> running job
+
+async function runAudit(el) {
+  const arr = state.tree?.pathMap.get(el.getAttribute("data-audit-path"));
+  if (!arr) return;
+  const previous = auditJobs.get(el);
+  if (previous) previous.cancelled = true;
+  const job = { cancelled: false };
+  auditJobs.set(el, job);
+  const status = el.querySelector(".audit-status");
+  const progress = el.querySelector(".audit-progress");
+  const cancelBtn = el.querySelector(".audit-cancel");
+  const host = el.querySelector(".audit-host");
+  const report = (text, fraction) => {
+    if (job.cancelled) return;
+    status.textContent = text;
+    progress.hidden = fraction === undefined;
+    if (fraction !== undefined) progress.value = fraction;
+  };
+  host.innerHTML = "";
+  el.querySelector(".audit-map").hidden = true;
+  cancelBtn.hidden = false;
+  report("Checking chunk keys...");
+  try {
+    const audit = await auditArrayStorage(arr, job, report);
+    if (job.cancelled) return;
+    host.innerHTML = renderAuditSummary(arr, audit);
+    drawAuditMap(el, arr, audit);
+    report("");
+  } catch (e) {
+    if (job.cancelled) return;
+    console.warn('[zarr] storage audit failed for', arr.path, e);
+    host.innerHTML = `<div class="error">Storage audit failed: ${escapeHtml(e.message || String(e))}</div>`;
+    report("");
+  } finally {
+    if (auditJobs.get(el) === job) {
+      auditJobs.delete(el);
+      cancelBtn.hidden = true;
+    }
+  }
+}
+
+function bindAudit() {
+  document.querySelectorAll(".var-audit[data-audit-path]").forEach((el) => {
+    el.querySelector(".audit-run").addEventListener("click", () => runAudit(el));
+    el.querySelector(".audit-cancel").addEventListener("click", () => {
+      const job = auditJobs.get(el);
+      if (job) job.cancelled = true;
+      auditJobs.delete(el);
+      el.querySelector(".audit-status").textContent = "Cancelled.";
+      el.querySelector(".audit-progress").hidden = true;
+      el.querySelector(".audit-cancel").hidden = true;
+    });
+  });
+}
+
+function crawledStatus(zarrFormat, crawled) {
+  if (!crawled.listing) return `Loaded Zarr v${zarrFormat} root only: no consolidated metadata and no listing available.`;
+  return `Loaded Zarr v${zarrFormat} by crawling ${crawled.nodes} node(s) via ${crawled.listing}.`;
+}
+
+function buildTree(consolidated) {
+  const pathMap = new Map();
+  // Ensure root exists
+  ensureNode(pathMap, "/").type = "group";
+
+  const meta = consolidated.metadata;
+  for (const [key, value] of Object.entries(meta)) {
+    // keys are like "foo/.zgroup", "foo/bar/.zarray", "foo/.zattrs"
+    if (!key.endsWith(".zgroup") && !key.endsWith(".zarray") && !key.endsWith(".zattrs")) continue;
+    const path = normalizePath("/" + key.replace(/\.z(group|array|attrs)$/i, ""));
+    const node = ensureNode(pathMap, path);
+    // Reference files (kerchunk/fsspec) may keep metadata documents as JSON strings
+    const doc = typeof value === "string" ? parseJsonOr(value, {}) : value;
+    if (key.endsWith(".zgroup")) node.type = "group";
+    if (key.endsWith(".zarray")) node.type = "array";
+    if (key.endsWith(".zattrs")) node.attrs = doc || {};
+    if (key.endsWith(".zarray")) node.zarray = doc || {};
+  }
+
+  // Infer missing parent groups and children lists. Child names are tracked in a Set per parent so
+  // this stays linear for stores with many thousands of nodes; inferred parents join the iteration.
+  const childNames = new Map();
+  for (const p of pathMap.keys()) {
+    if (p === "/") continue;
+    const parent = dirname(p);
+    const base = basename(p);
+    const parentNode = ensureNode(pathMap, parent);
+    let names = childNames.get(parentNode);
+    if (!names) childNames.set(parentNode, (names = new Set(parentNode.children)));
+    if (!names.has(base)) {
+      names.add(base);
+      parentNode.children.push(base);
+    }
+  }
+  // Sort children for stable sibling navigation
+  for (const node of pathMap.values()) node.children.sort((a, b) => a.localeCompare(b));
+  // Normalize array metadata once all attributes are known (v2 dims live in .zattrs)
+  for (const node of pathMap.values()) {
+    if (node.type === "array") node.array = normalizeArrayMeta(node.zarray, node.attrs);
+  }
+
+  return { pathMap, root: pathMap.get("/") };
+}
+
+function parseJsonOr(text, fallback) {
+  try { return JSON.parse(text); } catch { return fallback; }
+}
+
+function ensureNode(map, path) {
+  const np = normalizePath(path);
+  let node = map.get(np);
+  if (!node) {
+    node = { path: np, type: "group", attrs: {}, children: [] };
+    map.set(np, node);
+  }
+  return node;
+}
+
+function dirname(p) {
+  const np = normalizePath(p);
+  if (np === "/") return "/";
+  const parts = np.split("/").filter(Boolean);
+  parts.pop();
+  return "/" + parts.join("/");
+}
+function basename(p) {
+  const np = normalizePath(p);
+  if (np === "/") return "/";
+  const parts = np.split("/").filter(Boolean);
+  return parts[parts.length - 1] || "/";
+}
+
+function siblingsOf(tree, path) {
+  // Operate among sibling GROUPS only
+  const parent = dirname(path);
+  const sibNames = tree.pathMap.get(parent)?.children || [];
+  const sibGroups = sibNames
+    .map((name) => tree.pathMap.get(join(parent, name)))
+    .filter((n) => n && n.type === "group")
+    .map((n) => basename(n.path));
+  const idx = sibGroups.indexOf(basename(path));
+  return { parent, list: sibGroups, index: idx };
+}
+
+function firstChildOf(tree, path) {
+  const node = tree.pathMap.get(path);
+  if (!node || !node.children.length) return null;
+  // Choose first GROUP child only
+  for (const name of node.children) {
+    const child = tree.pathMap.get(join(path, name));
+    if (child && child.type === "group") return child.path;
+  }
+  return null;
+}
+
+function join(parent, childBase) {
+  const pp = normalizePath(parent);
+  const out = pp === "/" ? `/${childBase}` : `${pp}/${childBase}`;
+  return normalizePath(out);
+}
+
+function setStatus(msg) { statusEl().textContent = msg; }
+
+function renderActive() {
+  const { tree, activePath } = state;
+  const el = slideEl();
+  try {
+    if (!tree) {
+      el.innerHTML = `<div class="placeholder">Enter a Zarr store URL and click Load, or drop a .zarr folder or .zip file here.</div>`;
+      renderSidebar();
+      return;
+    }
+    const node = tree.pathMap.get(activePath);
+    if (!node) {
+      el.innerHTML = `<div class="error">Path not found: ${escapeHtml(activePath)}</div>`;
+      renderSidebar();
+      return;
+    }
+
+  const crumbs = breadcrumb(activePath)
+    .map((p, i, arr) => `<span>${escapeHtml(basename(p) || "/")}${i < arr.length - 1 ? " / " : ""}</span>`)
+    .join("");
+
+  const parts = [];
+  parts.push(`<div class="breadcrumb">${crumbs}</div>`);
+  // (header contains copy buttons; no in-content copy buttons)
+  if (node.type === "array") {
+    parts.push(`<div class="node-title">Variable <span class="badge">${escapeHtml(activePath)}</span></div>`);
+    parts.push(renderVariableNav(node));
+    const metaRows = [];
+    metaRows.push(["type", "array"]);
+    const model = node.array || normalizeArrayMeta(node.zarray, node.attrs);
+    metaRows.push(["zarr_format", String(model.zarrFormat)]);
+    metaRows.push(["dims", model.shape.length ? formatDimsWithSizes(inferArrayDims(node), model.shape) : "(scalar)"]);
+    metaRows.push(["shape", JSON.stringify(model.shape)]);
+    if (model.dtype) metaRows.push(["dtype", model.itemsize ? `${model.dtype} (${model.itemsize} byte${model.itemsize === 1 ? "" : "s"} per element)` : model.dtype]);
+    if (arrayBytes(model) != null) metaRows.push(["uncompressed", humanBytes(arrayBytes(model))]);
+    if (model.sharding) {
+      metaRows.push(["shards", JSON.stringify(model.chunks)]);
+      metaRows.push(["chunks", JSON.stringify(model.sharding.chunkShape)]);
+    } else if (model.chunks) {
+      metaRows.push(["chunks", JSON.stringify(model.chunks)]);
+    }
+    metaRows.push(["fill_value", formatFillValue(model.fillValue)]);
+    metaRows.push(["order", model.order]);
+    metaRows.push(["chunk_key_encoding", `${model.chunkKeyEncoding.name} (separator "${model.chunkKeyEncoding.separator}")`]);
+    metaRows.push(["codecs", describeCodecChain(model.codecs)]);
+    parts.push(`<div class="meta">${metaRows.map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join("")}</div>`);
+    parts.push(`
+      <div class="section section-row">
+        <div class="section-col">
+          <details open><summary>CF encoding</summary>${renderCfEncoding(node)}</details>
+        </div>
+        <div class="section-col">
+          <details open><summary>Codecs</summary>${renderCodecExplanations(node)}</details>
+        </div>
+      </div>
+    `);
+    // Chunks and Attributes side-by-side
+    const chunkMatrix = renderChunkMatrix(node);
+    const hasAttrs = node.attrs && Object.keys(node.attrs).length;
+    const chunksSection = chunkMatrix ? `
+      <div class="section-col">
+        <details open>
+          <summary>Chunks</summary>
+          ${chunkMatrix}
+          ${renderChunkViz(node)}
+          ${renderVarStats(node)}
+          ${renderVarAudit(node)}
+        </details>
       </div>
     ` : "";
     const attrsSection = `
@@ -270,7 +2488,17 @@ function renderActive() {
         ${chunksSection}${attrsSection}
       </div>
     `);
+    const refsDetails = renderVarRefsDetails(node);
+    if (refsDetails) parts.push(`<div class="section section-col">${refsDetails}</div>`);
+    parts.push(`<div class="section section-col">${renderVarPreviewDetails(node)}${renderVarPlotDetails(node)}</div>`);
+    parts.push(`<div class="section section-col"><details open><summary>Python</summary><pre class="codeblock">${escapeHtml(buildPythonSnippet())}</pre></details></div>`);
     el.innerHTML = parts.join("");
+    bindRefsDetails();
+    bindPreviewDetails();
+    bindPlotDetails();
+    bindStats();
+    bindAudit();
+    bindChunkViz();
     // Hide aggregated panel and two-col layout for arrays
     const agg = document.getElementById('aggPanel');
     const stage = document.querySelector('main.stage');
@@ -278,447 +2506,2412 @@ function renderActive() {
     if (stage) stage.classList.remove('two-col');
     updateHeaderControls();
     const inputEl = document.querySelector('#zarrUrl');
-    if (inputEl && state.baseUrl) inputEl.value = humanReadableUri();
+    if (inputEl && state.baseUrl && state.store?.kind === 'http') inputEl.value = humanReadableUri();
+    renderSidebar();
+    return;
+  }
+
+  parts.push(`<div class="node-title">Group <span class="badge">${escapeHtml(activePath)}</span></div>`);
+  // Facets stay active while browsing inside the filtered group
+  if (state.facets.path && !isSubtreeOpen(state.facets.path, activePath)) clearFacets();
+  // Apply naming spec to this group's direct subgroups (if any) before rendering cards
+  applyNamingSpecIfAny(node.path);
+  const groupView = renderGroupLikeXarray(state.tree, node);
+  parts.push(groupView);
+  el.innerHTML = parts.join("");
+  // Render aggregated attributes in separate panel
+  const agg = document.getElementById('aggPanel');
+  const stage = document.querySelector('main.stage');
+  if (agg) {
+    if (hasMultipleSubgroups(state.tree, node)) {
+      agg.hidden = false;
+      agg.innerHTML = renderAggPanel(state.tree, node);
+      if (stage) stage.classList.add('two-col');
+    } else {
+      agg.hidden = true;
+      agg.innerHTML = "";
+      if (stage) stage.classList.remove('two-col');
+    }
+  }
+  updateHeaderControls();
+  const inputEl = document.querySelector('#zarrUrl');
+  if (inputEl && state.baseUrl && state.store?.kind === 'http') inputEl.value = humanReadableUri();
+  renderSidebar();
+  } catch (e) {
+    el.innerHTML = `<div class="error">Render error: ${escapeHtml(e.message || String(e))}</div>`;
+  }
+}
+
+function renderAggregatedGroupAttrs(tree, grpNode) {
+  if (!tree || !grpNode) return "";
+  // Use only direct subgroup groups of the active group
+  const children = (grpNode.children || [])
+    .map((name) => tree.pathMap.get(join(grpNode.path, name)))
+    .filter((n) => n && n.type === "group");
+  if (!children.length) return "";
+  const allKeys = new Set();
+  for (const n of children) {
+    const a = n.attrs || {};
+    for (const k of Object.keys(a)) allKeys.add(k);
+  }
+  const keys = Array.from(allKeys).sort();
+  const summaryHtml = renderFacets(grpNode, children, keys);
+  const selectOpt = (v, label, selected) => `<option value="${escapeHtml(String(v))}" ${v === selected ? "selected" : ""}>${escapeHtml(String(label))}</option>`;
+  const controls = `
+    <div class="section">
+      <h3>Interactive table</h3>
+      <div class="pivot-controls">
+        <label>Rows <span class="pivot-levels" data-axis="rows"></span></label>
+        <label>Columns <span class="pivot-levels" data-axis="cols"></span></label>
+        <label>Show
+          <select id="pivotAggSel">
+            ${Object.entries(PIVOT_AGGREGATIONS).map(([k, a]) => selectOpt(k, a.label, state.pivot.agg)).join("")}
+          </select>
+        </label>
+        <span class="pivot-export">
+          <button type="button" data-export="csv">CSV</button>
+          <button type="button" data-export="md">Markdown</button>
+        </span>
+      </div>
+      <div id="pivotHost"></div>
+    </div>
+    ${renderVariableInventory(tree, filterByFacets(grpNode.path, children))}
+  `;
+  queueMicrotask(() => { bindAggPivot(tree, filterByFacets(grpNode.path, children), keys); bindFacets(); });
+  return summaryHtml + controls;
+}
+
+// Data variables (rows) by child group (columns). A cell is marked when the variable's shape, dims or units
+// differ from what most of the groups holding it have.
+function renderVariableInventory(tree, groups) {
+  const byName = new Map(); // var name -> Map(group path -> arr)
+  for (const g of groups) {
+    for (const arr of dataVariablesOf(tree, g)) {
+      const name = basename(arr.path);
+      if (!byName.has(name)) byName.set(name, new Map());
+      byName.get(name).set(g.path, arr);
+    }
+  }
+  if (!byName.size) return "";
+  const traits = {
+    shape: (arr) => JSON.stringify(arr.array?.shape || []),
+    dims: (arr) => JSON.stringify(inferArrayDims(arr)),
+    units: (arr) => valueLabel(arr.attrs?.units ?? ""),
+  };
+  const majority = (values) => {
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    return Array.from(counts).sort((a, b) => b[1] - a[1])[0][0];
+  };
+  let inconsistentRows = 0;
+  const rows = Array.from(byName.keys()).sort().map((name) => {
+    const present = byName.get(name);
+    const expected = Object.fromEntries(Object.entries(traits).map(([t, get]) => [t, majority(Array.from(present.values(), get))]));
+    let odd = 0;
+    const cells = groups.map((g) => {
+      const arr = present.get(g.path);
+      if (!arr) return `<td class="inv-absent">—</td>`;
+      const diffs = Object.entries(traits).filter(([t, get]) => get(arr) !== expected[t]).map(([t]) => t);
+      if (diffs.length) odd++;
+      const units = arr.attrs?.units != null ? ` · ${valueLabel(arr.attrs.units)}` : "";
+      const title = `dims ${formatDimsNames(inferArrayDims(arr))}${units}${diffs.length ? ` — differs in ${diffs.join(", ")}` : ""}`;
+      const label = `${JSON.stringify(arr.array?.shape || [])} ${arr.array?.dtype ?? ""}`;
+      return `<td class="${diffs.length ? "inv-odd" : ""}" title="${escapeHtml(title)}"><a href="#" data-path="${escapeHtml(arr.path)}" class="navlink">${escapeHtml(label)}</a></td>`;
+    }).join("");
+    if (odd) inconsistentRows++;
+    return `<tr><th class="rowhead">${escapeHtml(name)} <span class="small">${present.size}/${groups.length}</span></th>${cells}</tr>`;
+  }).join("");
+  const head = groups.map((g) => `<th><a href="#" data-path="${escapeHtml(g.path)}" class="navlink">${escapeHtml(basename(g.path))}</a></th>`).join("");
+  const note = inconsistentRows ? `${inconsistentRows} variable(s) with differing shape, dims or units (marked).` : "Shapes, dims and units agree across groups.";
+  return `
+    <div class="section">
+      <h3>Variable inventory</h3>
+      <div class="small">${escapeHtml(note)}</div>
+      <div class="pivot-wrap">
+        <table class="pivot-table inventory-table">
+          <thead><tr><th></th>${head}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+function renderAggPanel(tree, node) {
+  return `<div class="node-title">Aggregated attributes <span class="badge">${escapeHtml(node.path)}</span></div>${renderAggregatedGroupAttrs(tree, node)}`;
+}
+
+// --- Facets ---
+// Unique attribute values of the subgroups are chips; selected chips filter the subgroups shown in the
+// pivot table, the Groups list and the sidebar (AND across keys, OR within a key).
+
+function clearFacets() {
+  state.facets = { path: null, selected: new Map() };
+}
+
+function facetMatches(node, selected, skipKey = null) {
+  for (const [key, values] of selected) {
+    if (key === skipKey || !values.size) continue;
+    if (!values.has(valueKey((node.attrs || {})[key]))) return false;
+  }
+  return true;
+}
+
+function filterByFacets(parentPath, nodes) {
+  const { path, selected } = state.facets;
+  if (path !== parentPath || !selected.size) return nodes;
+  return nodes.filter((n) => facetMatches(n, selected));
+}
+
+function renderFacets(grpNode, children, keys) {
+  const selected = state.facets.path === grpNode.path ? state.facets.selected : new Map();
+  const rows = [];
+  for (const k of keys) {
+    // Counts honour the facets of the other keys, so they tell what selecting a chip would leave
+    const values = new Map(); // valueKey -> { label, count }
+    for (const n of children) {
+      const a = n.attrs || {};
+      if (!Object.prototype.hasOwnProperty.call(a, k)) continue;
+      const vk = valueKey(a[k]);
+      if (!values.has(vk)) values.set(vk, { label: valueLabel(a[k]), count: 0 });
+      if (facetMatches(n, selected, k)) values.get(vk).count++;
+    }
+    if (!values.size) continue;
+    const chips = Array.from(values, ([vk, { label, count }]) => {
+      const on = selected.get(k)?.has(vk);
+      return `<button type="button" class="facet-chip${on ? " selected" : ""}${count ? "" : " empty"}" data-key="${escapeHtml(k)}" data-value="${escapeHtml(vk)}" aria-pressed="${on ? "true" : "false"}">${escapeHtml(label)} <span class="facet-count">${count}</span></button>`;
+    }).join("");
+    rows.push(`<div class="label">${escapeHtml(k)}</div><div class="value facet-chips">${chips}</div>`);
+  }
+  const body = rows.length ? rows.join("") : `<div class="small">(none)</div>`;
+  const shown = filterByFacets(grpNode.path, children).length;
+  const status = selected.size
+    ? `<div class="facet-status small">Showing ${shown} of ${children.length} subgroups <button type="button" class="facet-clear">Clear filters</button></div>`
+    : "";
+  return `<div class="section"><h3>Unique values</h3>${status}<div class="codeblock"><div class="meta small">${body}</div></div></div>`;
+}
+
+function bindFacets() {
+  const agg = document.getElementById('aggPanel');
+  if (!agg) return;
+  agg.querySelectorAll('.facet-chip').forEach((chip) => {
+    chip.addEventListener('click', () => toggleFacet(chip.dataset.key, chip.dataset.value));
+  });
+  agg.querySelector('.facet-clear')?.addEventListener('click', () => {
+    clearFacets();
+    refreshFacetViews();
+  });
+}
+
+function toggleFacet(key, vk) {
+  if (state.facets.path !== state.activePath) state.facets = { path: state.activePath, selected: new Map() };
+  const { selected } = state.facets;
+  const values = selected.get(key) || new Set();
+  if (values.has(vk)) values.delete(vk); else values.add(vk);
+  if (values.size) selected.set(key, values); else selected.delete(key);
+  refreshFacetViews();
+}
+
+// Re-render only what facets affect, keeping the variable panels (previews, plots) as they are
+function refreshFacetViews() {
+  const node = state.tree?.pathMap.get(state.activePath);
+  if (!node || node.type !== 'group') return;
+  const agg = document.getElementById('aggPanel');
+  if (agg && !agg.hidden) agg.innerHTML = renderAggPanel(state.tree, node);
+  const list = document.getElementById('groupsList');
+  if (list) {
+    const groupChildren = node.children
+      .map((name) => state.tree.pathMap.get(join(node.path, name)))
+      .filter((n) => n && n.type === 'group');
+    list.innerHTML = renderGroupItems(node, groupChildren);
+  }
+  renderSidebar();
+  updateUrl();
+}
+
+function deepEqualSimple(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b) return false;
+  if (a && b && typeof a === "object") {
+    try { return JSON.stringify(a) === JSON.stringify(b); } catch { return false; }
+  }
+  return false;
+}
+
+// Convert zarr dtype tokens like "<f4" (v2) or data_type names like "float32" (v3) to human names
+function prettyDtype(dtype) {
+  if (!dtype) return "";
+  if (typeof dtype === 'object') {
+    // v2 structured dtypes are lists of fields; v3 extension types are { name, configuration }
+    if (Array.isArray(dtype)) return 'structured';
+    const name = String(dtype.name || '').replace(/^numpy\./, '');
+    const unit = dtype.configuration?.unit;
+    return unit ? `${name}[${unit}]` : (name || 'unknown');
+  }
+  const s = String(dtype);
+  if (s === 'bool' || s === '|b1') return 'bool';
+  if (/^(u?int|float|complex)\d+$|^r\d+$|^(string|bytes)$/.test(s)) return s; // v3 names are already readable
+  const core = s.replace(/[<>=|]/g, ''); // strip endianness
+  const dt = core.match(/^([Mm])8(\[\w+\])?$/);
+  if (dt) return `${dt[1] === 'M' ? 'datetime64' : 'timedelta64'}${dt[2] || ''}`;
+  if (core === 'O') return 'object';
+  const m = core.match(/^([fiuc])?(\d+)$/);
+  if (!m) return core;
+  const kind = m[1] || '';
+  const n = parseInt(m[2], 10);
+  if (kind === 'f') return `float${n*8}`;
+  if (kind === 'i') return `int${n*8}`;
+  if (kind === 'u') return `uint${n*8}`;
+  if (kind === 'c') return `complex${n*8}`;
+  // Some encodings directly give bytes; assume integer
+  if (!isNaN(n)) return `${n<=2?`int${n*8}`: n<=8?`int${n*8}`:`${core}`}`;
+  return core;
+}
+
+// --- Array metadata model ---
+
+/** ArrayModel shape (node.array), identical for v2 and v3 arrays
+ * {
+ *  zarrFormat: 2 | 3,
+ *  shape: number[],
+ *  chunks: number[] | null, // chunk grid shape: one stored object per chunk
+ *  dtype: string, // human name, e.g. "float32", "datetime64[ns]"
+ *  itemsize: number, // bytes per element; 0 for variable-length or unknown types
+ *  fillValue: any,
+ *  dimensionNames: string[] | null, // v3 dimension_names, else v2 _ARRAY_DIMENSIONS
+ *  order: "C" | "F",
+ *  chunkKeyEncoding: { name: "default" | "v2", separator: string },
+ *  codecs: { name: string, configuration: object }[], // v2: filters then compressor
+ *  sharding: null | { // v3 sharding_indexed: `chunks` is then the shard shape
+ *    chunkShape: number[], // inner chunk shape
+ *    codecs: { name, configuration }[], // inner chunk codecs
+ *    indexCodecs: { name, configuration }[],
+ *    indexLocation: "start" | "end",
+ *  }
+ * }
+ */
+function normalizeArrayMeta(raw, attrs = {}) {
+  const meta = raw || {};
+  const shape = Array.isArray(meta.shape) ? meta.shape : [];
+  const isV3 = meta.zarr_format === 3 || meta.data_type != null || meta.chunk_grid != null;
+  if (isV3) {
+    const grid = meta.chunk_grid?.configuration?.chunk_shape;
+    const cke = meta.chunk_key_encoding || {};
+    const ckeName = cke.name === 'v2' ? 'v2' : 'default';
+    const codecs = (Array.isArray(meta.codecs) ? meta.codecs : []).map(normalizeCodec);
+    const names = Array.isArray(meta.dimension_names)
+      ? meta.dimension_names.map((d, i) => (d == null ? `dim_${i}` : String(d)))
+      : dimsFromAttrs(attrs);
+    return {
+      zarrFormat: 3,
+      shape,
+      chunks: Array.isArray(grid) ? grid : null,
+      dtype: prettyDtype(meta.data_type),
+      itemsize: dtypeItemsize(meta.data_type),
+      fillValue: decodeFillValue(meta.fill_value),
+      dimensionNames: names,
+      order: isFortranTranspose(codecs.find((c) => c.name === 'transpose'), shape.length) ? 'F' : 'C',
+      chunkKeyEncoding: { name: ckeName, separator: cke.configuration?.separator ?? (ckeName === 'v2' ? '.' : '/') },
+      codecs,
+      sharding: shardingFromCodecs(codecs),
+    };
+  }
+  const filters = Array.isArray(meta.filters) ? meta.filters : [];
+  return {
+    zarrFormat: 2,
+    shape,
+    chunks: Array.isArray(meta.chunks) ? meta.chunks : null,
+    dtype: prettyDtype(meta.dtype),
+    itemsize: dtypeItemsize(meta.dtype),
+    fillValue: decodeFillValue(meta.fill_value),
+    dimensionNames: dimsFromAttrs(attrs),
+    order: meta.order === 'F' ? 'F' : 'C',
+    chunkKeyEncoding: { name: 'v2', separator: meta.dimension_separator || '.' },
+    codecs: [...filters, meta.compressor].filter(Boolean).map(normalizeCodec),
+    sharding: null,
+  };
+}
+
+// sharding_indexed must be the array-to-bytes codec; nested codecs describe each inner chunk
+function shardingFromCodecs(codecs) {
+  const sc = codecs.find((c) => c.name === 'sharding_indexed');
+  const cfg = sc?.configuration;
+  if (!cfg || !Array.isArray(cfg.chunk_shape)) return null;
+  return {
+    chunkShape: cfg.chunk_shape,
+    codecs: (Array.isArray(cfg.codecs) ? cfg.codecs : []).map(normalizeCodec),
+    indexCodecs: (Array.isArray(cfg.index_codecs) ? cfg.index_codecs : []).map(normalizeCodec),
+    indexLocation: cfg.index_location === 'start' ? 'start' : 'end',
+  };
+}
+
+function dimsFromAttrs(attrs) {
+  const dims = attrs && attrs["_ARRAY_DIMENSIONS"]; // common with xarray zarr
+  return Array.isArray(dims) && dims.every((d) => typeof d === "string") ? dims : null;
+}
+
+// v2 codecs are { id, ...params }; v3 codecs are { name, configuration } or a bare name
+function normalizeCodec(c) {
+  if (typeof c === 'string') return { name: c, configuration: {} };
+  if (!c || typeof c !== 'object') return { name: String(c), configuration: {} };
+  if (c.name) return { name: String(c.name), configuration: c.configuration || {} };
+  const { id, ...configuration } = c;
+  return { name: String(id || 'unknown'), configuration };
+}
+
+function isFortranTranspose(codec, rank) {
+  const order = codec?.configuration?.order;
+  if (order === 'F') return true;
+  return Array.isArray(order) && rank > 1 && order.every((ax, i) => ax === rank - 1 - i);
+}
+
+// JSON cannot carry NaN/Infinity, so both formats spell them as strings
+function decodeFillValue(v) {
+  if (v === "NaN") return NaN;
+  if (v === "Infinity") return Infinity;
+  if (v === "-Infinity") return -Infinity;
+  return v === undefined ? null : v;
+}
+
+function formatFillValue(v) {
+  if (v == null) return "null";
+  if (typeof v === "number" && !Number.isFinite(v)) return String(v);
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// One codec as a short label, e.g. "blosc(cname=zstd, clevel=5, shuffle=1)"
+function describeCodec(c) {
+  if (c.name === 'sharding_indexed' && Array.isArray(c.configuration?.chunk_shape)) {
+    return `sharding_indexed(chunk_shape=[${c.configuration.chunk_shape.join(", ")}])`;
+  }
+  const params = Object.entries(c.configuration || {})
+    .filter(([, v]) => v == null || typeof v !== "object")
+    .map(([k, v]) => `${k}=${v}`);
+  return params.length ? `${c.name}(${params.join(", ")})` : c.name;
+}
+
+function describeCodecChain(codecs) {
+  return (codecs || []).length ? codecs.map(describeCodec).join(" → ") : "(none)";
+}
+
+// --- Variable page ---
+// Arrays are navigable nodes: their page lists dims with sizes, the CF encoding attributes and the
+// codec chain in plain words, next to the chunk tools shown in the group view.
+
+// Attributes that change how stored values decode
+const CF_ENCODING_ATTRS = ["scale_factor", "add_offset", "_FillValue", "missing_value", "units", "calendar"];
+
+// Codecs that turn the array into bytes; v3 codecs before it work on arrays, after it on bytes
+const ARRAY_TO_BYTES_CODECS = ["bytes", "sharding_indexed", "vlen-utf8", "vlen-bytes"];
+
+const BLOSC_SHUFFLES = { 0: "no shuffle", 1: "byte shuffle", 2: "bit shuffle", noshuffle: "no shuffle", shuffle: "byte shuffle", bitshuffle: "bit shuffle" };
+
+// The arrays of a group, in the order of its children
+function groupArraysOf(tree, groupPath) {
+  const grp = tree.pathMap.get(groupPath);
+  return (grp?.children || []).map((name) => tree.pathMap.get(join(groupPath, name))).filter((n) => n && n.type === "array");
+}
+
+// One codec in plain words
+function explainCodec(c) {
+  const cfg = c.configuration || {};
+  const level = (l) => (l != null ? ` at level ${l}` : "");
+  switch (c.name.replace(/^numcodecs\./, "")) {
+    case "blosc": {
+      const shuffle = BLOSC_SHUFFLES[cfg.shuffle];
+      return `Blosc compression using ${cfg.cname || "lz4"}${level(cfg.clevel)}${shuffle ? `, ${shuffle}` : ""}.`;
+    }
+    case "zstd": return `Zstandard compression${level(cfg.level)}${cfg.checksum ? " with a checksum" : ""}.`;
+    case "gzip": return `gzip (deflate) compression${level(cfg.level)}.`;
+    case "zlib": return `zlib (deflate) compression${level(cfg.level)}.`;
+    case "lz4": return "LZ4 compression: fast, with a moderate ratio.";
+    case "bz2": return `bzip2 compression${level(cfg.level)}.`;
+    case "lzma": return "LZMA compression.";
+    case "bytes": return `Writes each element as ${cfg.endian ? `${cfg.endian}-endian ` : ""}raw bytes.`;
+    case "transpose":
+      return cfg.order === "F" ? "Stores the axes in Fortran (column-major) order." : `Stores the axes in the order [${(cfg.order || []).join(", ")}].`;
+    case "sharding_indexed":
+      return `Packs inner chunks of shape [${(cfg.chunk_shape || []).join(", ")}] into one stored object per shard, with a chunk index at the ${cfg.index_location === "start" ? "start" : "end"}.`;
+    case "crc32c": return "Appends a CRC32C checksum to detect corrupted chunks.";
+    case "shuffle": return "Shuffles bytes so that bytes of equal significance sit together, which helps the compressor.";
+    case "delta": return `Stores the difference between consecutive values${cfg.dtype ? ` as ${prettyDtype(cfg.dtype)}` : ""}.`;
+    case "fixedscaleoffset":
+      return `Stores round((value - ${cfg.offset ?? 0}) × ${cfg.scale ?? 1})${cfg.astype ? ` as ${prettyDtype(cfg.astype)}` : ""}; lossy.`;
+    case "quantize": return `Keeps ${cfg.digits} significant decimal digits; lossy.`;
+    case "bitround": return `Keeps ${cfg.keepbits} mantissa bits; lossy.`;
+    case "packbits": return "Packs booleans into single bits.";
+    case "categorize": return "Stores strings as integer category codes.";
+    case "vlen-utf8": return "Variable-length UTF-8 strings.";
+    case "vlen-bytes": return "Variable-length byte strings.";
+    default: return "No description available; see its parameters.";
+  }
+}
+
+// Codec chain with the role each codec plays: v2 filters and compressor, v3 array/bytes stages
+function renderCodecExplanations(arr) {
+  const model = arr.array;
+  let items;
+  if (model.zarrFormat === 2) {
+    const raw = arr.zarray || {};
+    items = [
+      ...(Array.isArray(raw.filters) ? raw.filters : []).map((c) => ({ codec: normalizeCodec(c), role: "filter" })),
+      ...(raw.compressor ? [{ codec: normalizeCodec(raw.compressor), role: "compressor" }] : []),
+    ];
+  } else {
+    const cut = model.codecs.findIndex((c) => ARRAY_TO_BYTES_CODECS.includes(c.name));
+    const role = (i) => (cut < 0 ? "codec" : i < cut ? "array → array" : i === cut ? "array → bytes" : "bytes → bytes");
+    items = model.codecs.map((codec, i) => ({ codec, role: role(i) }));
+  }
+  if (!items.length) return `<div class="small">No codecs: chunks are stored as raw, uncompressed bytes.</div>`;
+  const list = (entries) => `<ol class="codec-list">${entries.map(({ codec, role }) => `
+    <li><code>${escapeHtml(describeCodec(codec))}</code> <span class="badge">${escapeHtml(role)}</span> ${escapeHtml(explainCodec(codec))}</li>`).join("")}</ol>`;
+  const inner = model.sharding?.codecs.length
+    ? `<div class="small">Each inner chunk of a shard is encoded with:</div>${list(model.sharding.codecs.map((codec) => ({ codec, role: "inner chunk" })))}`
+    : "";
+  return list(items) + inner;
+}
+
+// scale_factor, add_offset, _FillValue, missing_value, units and calendar with what they mean here
+function renderCfEncoding(arr) {
+  const attrs = arr.attrs || {};
+  const present = CF_ENCODING_ATTRS.filter((k) => attrs[k] !== undefined);
+  if (!present.length) return `<div class="small">(none): values are used as stored.</div>`;
+  const decoder = cfTimeDecoder(attrs.units, attrs.calendar);
+  const meaning = (key) => {
+    const v = attrs[key];
+    if (key === "scale_factor") return `decoded = stored × ${v}${attrs.add_offset !== undefined ? ` + ${attrs.add_offset}` : ""}`;
+    if (key === "add_offset") return attrs.scale_factor !== undefined ? "added after scaling" : `decoded = stored + ${v}`;
+    if (key === "_FillValue") {
+      const same = formatFillValue(decodeFillValue(v)) === formatFillValue(arr.array.fillValue);
+      return same ? "stored value marking missing data (same as the array fill_value)" : `stored value marking missing data (the array fill_value is ${formatFillValue(arr.array.fillValue)})`;
+    }
+    if (key === "missing_value") return "further stored value(s) marking missing data";
+    if (key === "units" && decoder) return `time: ${decoder.calendar} calendar, 0 is ${formatCfDate(decoder.decode(0), true)}`;
+    if (key === "units") return "units of the decoded values";
+    return CF_CALENDARS[String(v).toLowerCase()] ? "calendar used to decode times" : "calendar not known to this viewer";
+  };
+  return `<div class="meta">${present.map((k) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(valueLabel(attrs[k]))} <span class="small">${escapeHtml(meaning(k))}</span></div>`).join("")}</div>`;
+}
+
+// Previous/next variable of the same group (Left/Right keys do the same)
+function renderVariableNav(arr) {
+  const group = dirname(arr.path);
+  const siblings = groupArraysOf(state.tree, group);
+  const i = siblings.indexOf(arr);
+  const link = (n, text) => (n ? `<a href="#" class="navlink" data-path="${escapeHtml(n.path)}">${text}</a>` : "");
+  const prev = siblings[(i - 1 + siblings.length) % siblings.length];
+  const next = siblings[(i + 1) % siblings.length];
+  return `<div class="var-nav small">
+    ${siblings.length > 1 ? link(prev, `← ${escapeHtml(basename(prev.path))}`) : ""}
+    <span>variable ${i + 1} of ${siblings.length} in ${link(state.tree.pathMap.get(group), escapeHtml(group))}</span>
+    ${siblings.length > 1 ? link(next, `${escapeHtml(basename(next.path))} →`) : ""}
+  </div>`;
+}
+
+// Store key of a chunk (or shard) for the array's chunk key encoding
+function chunkKey(model, coords) {
+  const { name, separator } = model.chunkKeyEncoding;
+  if (name === 'default') return ['c', ...coords].join(separator);
+  return coords.length ? coords.join(separator) : '0';
+}
+
+function valueKey(v) {
+  return v == null ? '__NULL__' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+}
+
+function valueLabel(v) {
+  if (v == null) return 'null';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+// Same split as renderGroupLikeXarray: 1D arrays are shown as coordinates, the others as data variables
+function dataVariablesOf(tree, grpNode) {
+  return collectArrays(tree, grpNode, 0, 0).filter((arr) => (arr.array?.shape || []).length !== 1);
+}
+
+// Uncompressed size of an array (null when the dtype size is unknown)
+function arrayBytes(model) {
+  const shape = model?.shape || [];
+  return model?.itemsize ? model.itemsize * product(shape) : null;
+}
+
+// Cell aggregations over the subgroups in a cell: `of` computes the value, `sortValue` makes it comparable
+const PIVOT_AGGREGATIONS = {
+  count: { label: "Groups", of: (tree, nodes) => nodes.length },
+  vars: {
+    label: "Data variables",
+    of: (tree, nodes) => nodes.reduce((n, g) => n + dataVariablesOf(tree, g).length, 0),
+  },
+  bytes: {
+    label: "Uncompressed bytes",
+    of: (tree, nodes) => nodes.reduce((n, g) => n + collectArrays(tree, g, 0, 0).reduce((m, arr) => m + (arrayBytes(arr.array) || 0), 0), 0),
+    format: (v) => humanBytes(v),
+  },
+  names: {
+    label: "Variable names",
+    of: (tree, nodes) => Array.from(new Set(nodes.flatMap((g) => dataVariablesOf(tree, g).map((arr) => basename(arr.path))))).sort(),
+    format: (v) => v.join(", "),
+    text: (v) => v.join(" "),
+    sortValue: (v) => v.length,
+  },
+};
+
+/** Pivot shape
+ * {
+ *  rows: { key: string, values: string[], nodes: Node[] }[], // one per distinct tuple of row attr values
+ *  cols: same for column attrs,
+ *  cells: Map<rowKey + "\u0000" + colKey, Node[]>
+ * }
+ */
+function buildPivot(children, rowAttrs, colAttrs) {
+  const tuple = (n, attrs) => attrs.map((a) => valueKey((n.attrs || {})[a]));
+  const rows = new Map();
+  const cols = new Map();
+  const cells = new Map();
+  const add = (map, key, values, n) => {
+    if (!map.has(key)) map.set(key, { key, values, nodes: [] });
+    map.get(key).nodes.push(n);
+  };
+  for (const n of children) {
+    const rv = tuple(n, rowAttrs);
+    const cv = tuple(n, colAttrs);
+    const rk = JSON.stringify(rv);
+    const ck = JSON.stringify(cv);
+    add(rows, rk, rv, n);
+    add(cols, ck, cv, n);
+    add(cells, `${rk}\u0000${ck}`, null, n);
+  }
+  const byValues = (a, b) => {
+    for (let i = 0; i < a.values.length; i++) {
+      const c = a.values[i].localeCompare(b.values[i], undefined, { numeric: true });
+      if (c) return c;
+    }
+    return 0;
+  };
+  return {
+    rows: Array.from(rows.values()).sort(byValues),
+    cols: Array.from(cols.values()).sort(byValues),
+    cells: new Map(Array.from(cells, ([k, v]) => [k, v.nodes])),
+  };
+}
+
+function pivotValueLabel(vk) {
+  return vk === '__NULL__' ? 'null' : vk;
+}
+
+// Rows in display order; sort is { col: colKey | "__total__", dir: 1 | -1 } or null for label order
+function sortedPivotRows(tree, pivot, agg, sort) {
+  if (!sort) return pivot.rows;
+  const value = (row) => {
+    const nodes = sort.col === '__total__' ? row.nodes : pivot.cells.get(`${row.key}\u0000${sort.col}`) || [];
+    const v = agg.of(tree, nodes);
+    return agg.sortValue ? agg.sortValue(v) : v;
+  };
+  const values = new Map(pivot.rows.map((row) => [row, value(row)]));
+  return pivot.rows.slice().sort((a, b) => (values.get(a) - values.get(b)) * sort.dir);
+}
+
+// The pivot as a plain table of strings (header row first, totals row last) for CSV/Markdown export
+function pivotExportRows(tree, { rows: rowAttrs, cols: colAttrs, agg: aggName, sort }, children) {
+  const agg = PIVOT_AGGREGATIONS[aggName] || PIVOT_AGGREGATIONS.count;
+  const pivot = buildPivot(children, rowAttrs, colAttrs);
+  const text = (nodes) => {
+    if (!nodes.length) return "";
+    const v = agg.of(tree, nodes);
+    return agg.text ? agg.text(v) : String(v);
+  };
+  const rowHead = rowAttrs.length ? rowAttrs : [""];
+  const colLabel = (col) => colAttrs.length ? col.values.map((v, i) => `${colAttrs[i]}=${pivotValueLabel(v)}`).join(" / ") : agg.label;
+  const out = [[...rowHead, ...pivot.cols.map(colLabel), "Total"]];
+  for (const row of sortedPivotRows(tree, pivot, agg, sort)) {
+    const labels = rowAttrs.length ? row.values.map(pivotValueLabel) : ["(all)"];
+    out.push([...labels, ...pivot.cols.map((col) => text(pivot.cells.get(`${row.key}\u0000${col.key}`) || [])), text(row.nodes)]);
+  }
+  out.push(["Total", ...rowHead.slice(1).map(() => ""), ...pivot.cols.map((col) => text(col.nodes)), text(children)]);
+  return out;
+}
+
+function toCsv(rows) {
+  const cell = (v) => /[",\n]/.test(v) ? `"${v.replaceAll('"', '""')}"` : v;
+  return rows.map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+function toMarkdownTable(rows) {
+  const cell = (v) => v.replaceAll("|", "\\|").replaceAll("\n", " ");
+  const [head, ...body] = rows;
+  const line = (r) => `| ${r.map(cell).join(" | ")} |`;
+  return [line(head), `| ${head.map(() => "---").join(" | ")} |`, ...body.map(line)].join("\n") + "\n";
+}
+
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function resetPivot() {
+  state.pivot = { rows: [], cols: [], agg: "count", sort: null };
+}
+
+// Row and column attributes are ordered lists (outer level first); each level is a select, plus an empty
+// one to add a level. Choices live in state.pivot so they survive re-renders of the same group.
+function bindAggPivot(tree, children, keys) {
+  const host = document.getElementById('pivotHost');
+  const aggSel = document.getElementById('pivotAggSel');
+  if (!host || !aggSel) return;
+  const levelHosts = document.querySelectorAll('.pivot-levels[data-axis]');
+  const known = new Set(keys);
+  for (const axis of ['rows', 'cols']) state.pivot[axis] = state.pivot[axis].filter((k) => known.has(k));
+  const renderLevels = () => {
+    levelHosts.forEach((el) => {
+      const axis = el.getAttribute('data-axis');
+      const other = state.pivot[axis === 'rows' ? 'cols' : 'rows'];
+      const levels = state.pivot[axis];
+      const select = (value) => {
+        const options = keys.filter((k) => k === value || (!levels.includes(k) && !other.includes(k)));
+        return `<select>${[`<option value="">${value ? "(remove)" : "(add)"}</option>`, ...options.map((k) => `<option value="${escapeHtml(k)}" ${k === value ? "selected" : ""}>${escapeHtml(k)}</option>`)].join("")}</select>`;
+      };
+      el.innerHTML = [...levels.map(select), levels.length < keys.length ? select("") : ""].join("");
+      el.querySelectorAll('select').forEach((sel) => sel.addEventListener('change', () => {
+        state.pivot[axis] = Array.from(el.querySelectorAll('select'), (s) => s.value).filter(Boolean);
+        state.pivot.sort = null;
+        renderLevels();
+        render();
+        updateUrl();
+      }));
+    });
+  };
+  const render = () => {
+    host.innerHTML = renderPivotTable(tree, children, state.pivot);
+    host.querySelectorAll('th[data-sort]').forEach((th) => th.addEventListener('click', () => {
+      const col = th.getAttribute('data-sort');
+      const cur = state.pivot.sort;
+      // Click cycles: descending, ascending, back to label order
+      state.pivot.sort = !col ? null : cur?.col !== col ? { col, dir: -1 } : cur.dir === -1 ? { col, dir: 1 } : null;
+      render();
+      updateUrl();
+    }));
+  };
+  aggSel.addEventListener('change', () => {
+    state.pivot.agg = aggSel.value;
+    render();
+    updateUrl();
+  });
+  document.querySelectorAll('.pivot-export button[data-export]').forEach((btn) => btn.addEventListener('click', () => {
+    const rows = pivotExportRows(tree, state.pivot, children);
+    const name = `pivot-${basename(state.activePath) || 'root'}`;
+    if (btn.getAttribute('data-export') === 'csv') downloadText(`${name}.csv`, toCsv(rows), 'text/csv');
+    else downloadText(`${name}.md`, toMarkdownTable(rows), 'text/markdown');
+    setStatus(`Exported ${rows.length - 2} pivot row(s).`);
+  }));
+  renderLevels();
+  render();
+}
+
+function renderPivotTable(tree, children, { rows: rowAttrs, cols: colAttrs, agg: aggName, sort }) {
+  const agg = PIVOT_AGGREGATIONS[aggName] || PIVOT_AGGREGATIONS.count;
+  const pivot = buildPivot(children, rowAttrs, colAttrs);
+  const display = (nodes) => {
+    const v = agg.of(tree, nodes);
+    return agg.format ? agg.format(v) : String(v);
+  };
+  const groupLinks = (nodes) => nodes.map((n) => `<div><span class="badge">group</span> <a href="#" data-path="${escapeHtml(n.path)}" class="navlink">${escapeHtml(basename(n.path))}</a></div>`).join('');
+  const cell = (nodes) => nodes.length
+    ? `<td><details><summary>${escapeHtml(display(nodes))}</summary><div class="codeblock small">${groupLinks(nodes)}</div></details></td>`
+    : '<td></td>';
+  const arrow = (col) => sort?.col === col ? (sort.dir === -1 ? ' ▼' : ' ▲') : '';
+  const levels = Math.max(colAttrs.length, 1);
+  const rowHeads = rowAttrs.length ? rowAttrs : [''];
+
+  // Column header: one row per column attribute, merging runs of equal outer values
+  const headRows = [];
+  for (let l = 0; l < levels; l++) {
+    let cells = l === 0
+      ? rowHeads.map((a) => `<th rowspan="${levels}" class="rowhead sortable" data-sort="" title="Sort by labels">${escapeHtml(a)}</th>`).join('')
+      : '';
+    if (!colAttrs.length) {
+      cells += `<th class="sortable" data-sort="${escapeHtml(pivot.cols[0]?.key ?? '')}">${escapeHtml(agg.label)}${arrow(pivot.cols[0]?.key)}</th>`;
+    } else {
+      for (let i = 0; i < pivot.cols.length;) {
+        const prefix = JSON.stringify(pivot.cols[i].values.slice(0, l + 1));
+        let span = 1;
+        while (i + span < pivot.cols.length && JSON.stringify(pivot.cols[i + span].values.slice(0, l + 1)) === prefix) span++;
+        const label = `${colAttrs[l]}=${pivotValueLabel(pivot.cols[i].values[l])}`;
+        cells += l === levels - 1
+          ? `<th class="sortable" data-sort="${escapeHtml(pivot.cols[i].key)}" title="Sort by this column">${escapeHtml(label)}${arrow(pivot.cols[i].key)}</th>`
+          : `<th colspan="${span}">${escapeHtml(label)}</th>`;
+        i += span;
+      }
+    }
+    if (l === 0) cells += `<th rowspan="${levels}" class="total sortable" data-sort="__total__" title="Sort by total">Total${arrow('__total__')}</th>`;
+    headRows.push(`<tr>${cells}</tr>`);
+  }
+
+  // Body: outer row labels repeat only where they change (label order)
+  let prev = [];
+  const bodyRows = sortedPivotRows(tree, pivot, agg, sort).map((row) => {
+    const labels = rowAttrs.length ? row.values : ['(all)'];
+    const heads = labels.map((v, i) => {
+      const repeat = !sort && i < labels.length - 1 && labels.slice(0, i + 1).every((x, j) => x === prev[j]);
+      return `<th class="rowhead">${repeat ? '' : escapeHtml(pivotValueLabel(v))}</th>`;
+    }).join('');
+    prev = labels;
+    const cells = pivot.cols.map((col) => cell(pivot.cells.get(`${row.key}\u0000${col.key}`) || [])).join('');
+    return `<tr>${heads}${cells}<td class="total">${escapeHtml(display(row.nodes))}</td></tr>`;
+  }).join('');
+  const totals = `<tr class="total"><th class="rowhead" colspan="${rowHeads.length}">Total</th>${pivot.cols.map((col) => `<td>${escapeHtml(display(col.nodes))}</td>`).join('')}<td>${escapeHtml(display(children))}</td></tr>`;
+  return `
+    <div class="pivot-wrap">
+      <table class="pivot-table">
+        <thead>
+          ${headRows.join('')}
+        </thead>
+        <tbody>
+          ${bodyRows}
+        </tbody>
+        <tfoot>
+          ${totals}
+        </tfoot>
+      </table>
+    </div>
+  `;
+}
+
+function renderGroupItems(grpNode, groupChildren) {
+  const shown = filterByFacets(grpNode.path, groupChildren);
+  const items = shown.map((g) => `<div><span class="badge">group</span> <a href="#" data-path="${escapeHtml(g.path)}" class="navlink">${escapeHtml(basename(g.path) || "/")}</a></div>`).join("");
+  const hidden = groupChildren.length - shown.length;
+  return items + (hidden ? `<div class="small">${hidden} group(s) hidden by facet filters</div>` : "");
+}
+
+function hasMultipleSubgroups(tree, grpNode) {
+  const groupChildren = grpNode.children
+    .map((name) => tree.pathMap.get(join(grpNode.path, name)))
+    .filter((n) => n && n.type === "group");
+  return groupChildren.length > 1;
+}
+
+function breadcrumb(path) {
+  const parts = path.split("/").filter(Boolean);
+  const acc = ["/"];
+  let cur = "";
+  for (const p of parts) {
+    cur = cur ? `${cur}/${p}` : `/${p}`;
+    acc.push(cur);
+  }
+  return acc;
+}
+
+function escapeHtml(v) {
+  return String(v)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function setActive(path) {
+  // Groups and arrays both have a page; unknown paths fall back to their parent
+  const node = state.tree?.pathMap.get(path);
+  const next = node ? path : dirname(path);
+  if (next !== state.activePath) resetPivot(); // pivot axes belong to the page they were chosen on
+  state.activePath = next;
+  // An opened variable stays highlighted (and in the link) while its group is shown
+  if (node?.type === "array") state.highlightVarPath = node.path;
+  else if (state.highlightVarPath && dirname(state.highlightVarPath) !== next) state.highlightVarPath = null;
+  closeCompare();
+  if (node) rememberPath(node.path);
+  renderActive();
+  updateUrl({ push: true });
+}
+
+function handleKeydown(ev) {
+  if (!state.tree) return;
+  const { key } = ev;
+  if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(key)) ev.preventDefault();
+
+  if (key === "ArrowUp") {
+    const parent = dirname(state.activePath);
+    if (parent && parent !== state.activePath) setActive(parent);
+  } else if (key === "ArrowDown") {
+    const child = firstChildOf(state.tree, state.activePath);
+    if (child) setActive(child);
+  } else if ((key === "ArrowLeft" || key === "ArrowRight") && state.tree.pathMap.get(state.activePath)?.type === "array") {
+    // On a variable page, step through the variables of its group
+    const list = groupArraysOf(state.tree, dirname(state.activePath));
+    const index = list.findIndex((n) => n.path === state.activePath);
+    if (list.length < 2 || index < 0) return;
+    setActive(list[(index + (key === "ArrowLeft" ? -1 : 1) + list.length) % list.length].path);
+  } else if (key === "ArrowLeft" || key === "ArrowRight") {
+    const { parent, list, index } = siblingsOf(state.tree, state.activePath);
+    if (!list.length) return;
+    if (index < 0) return; // current not a group sibling (e.g., root) -> no-op
+    const delta = key === "ArrowLeft" ? -1 : 1;
+    const nextIdx = (index + delta + list.length) % list.length;
+    const nextPath = join(parent, list[nextIdx]);
+    setActive(nextPath);
+  }
+}
+
+async function onLoadClick() {
+  const input = $("#zarrUrl");
+  const entered = (input.value || "").trim();
+  const baseUrl = deriveBaseFromUrl(entered);
+  if (!baseUrl) {
+    setStatus("Please enter a Zarr store base URL.");
+    input.focus();
+    return;
+  }
+  await loadStore(baseUrl);
+}
+
+// `baseUrl` may be an s3://, gs:// or az:// URI; it is resolved with the storage settings
+async function loadStore(baseUrl, options) {
+  let url;
+  try {
+    url = resolveCloudUri(baseUrl);
+  } catch (err) {
+    slideEl().innerHTML = `<div class="error">${escapeHtml(err.message || String(err))}</div>`;
+    setStatus("Error.");
+    return;
+  }
+  if (url !== baseUrl) console.info('[zarr] resolved', baseUrl, 'to', url);
+  return openStore(httpStoreFor(url), options);
+}
+
+// HTTP store for a resolved URL with the session's headers and query token
+function httpStoreFor(url) {
+  const settings = state.storage;
+  return createHttpStore(url, { headers: parseHeaderLines(settings.headers), query: settings.query });
+}
+
+// Aborts the metadata load of a store that is replaced before it finished opening
+let loadController = null;
+
+// `push: false` leaves the history entry to the caller (used when following a link, which restores its view)
+async function openStore(store, { push = true } = {}) {
+  loadController?.abort();
+  compareController?.abort();
+  const controller = new AbortController();
+  loadController = controller;
+  const startHash = location.hash;
+  try {
+    slideEl().focus();
+    setStatus("Loading...");
+    const tree = await loadTree(store, controller.signal);
+    // A newer store was opened meanwhile; its load was cancelled
+    if (controller.signal.aborted) return;
+    // Store, base URL and tree switch together, so a failed load leaves the previous store usable
+    state.store = store;
+    state.baseUrl = store.kind === "http" ? store.url : store.label;
+    state.tree = tree;
+    state.activePath = "/";
+    state.highlightVarPath = null;
+    closeCompare();
+    clearFacets();
+    resetSidebar();
+    state.recent = [];
+    fillComparePaths();
+    // Apply naming spec (if any) to root subgroups before rendering, so aggregated attrs include them
+    applyNamingSpecIfAny('/');
+    renderActive();
+    // Deep link for the store; local stores cannot be reopened from a link. When Back/Forward moved to
+    // another history entry during the load, that entry is left alone.
+    if (store.kind === "http") {
+      if (push && location.hash === startHash) updateUrl({ push });
+    } else if (location.hash) {
+      history.replaceState(null, "", location.pathname + location.search);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('[zarr] loadStore error:', err);
+    slideEl().innerHTML = `<div class="error">${escapeHtml(err.message || String(err))}</div>`;
+    setStatus("Error.");
+  }
+}
+
+// Build the tree for a store, reporting which metadata source was used in the status bar.
+// Aborting `signal` cancels the metadata downloads, listings and crawl requests still running.
+async function loadTree(store, signal) {
+  // Kerchunk JSON reference files carry the whole hierarchy in their refs map
+  if (store.kind === 'http' && referenceKind(store.url) === 'json') {
+    const tree = buildTreeFromRefs(await loadKerchunkJson(store, signal));
+    console.info('[zarr] kerchunk reference tree built successfully');
+    setStatus(`Loaded Kerchunk references (${tree.refs.count.toLocaleString()} chunk reference(s)).`);
+    return tree;
+  }
+  // Try Zarr v3 first (zarr.json). On failure, fall back to v2 consolidated (.zmetadata).
+  // Stores without consolidated metadata are crawled node by node.
+  let v3 = null;
+  let forbidden = null; // a 403 on a root document, reported if the store turns out unreadable
+  try {
+    v3 = await loadZarrV3(store, signal);
+    console.info('[zarr] v3 detected at', store.label, v3?.zarr);
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    if (e?.forbidden) forbidden = e;
+    console.warn('[zarr] v3 load failed, falling back to v2 (.zmetadata). Reason:', e?.message || e);
+  }
+  if (v3 && (v3.tree || hasV3MetadataMap(v3.zarr))) {
+    const tree = v3.tree || buildTreeFromV3(v3);
+    console.info('[zarr] v3 tree built successfully');
+    setStatus('Loaded Zarr v3 (zarr.json).');
+    return tree;
+  }
+  if (v3 && v3.zarr.node_type) {
+    console.info('[zarr] v3 zarr.json has no consolidated metadata; crawling');
+    const crawled = await crawlStore(store, 3, v3.zarr, signal);
+    const tree = buildTreeFromV3({ zarr: { consolidated_metadata: { metadata: crawled.metadata } } });
+    setStatus(crawledStatus(3, crawled));
+    return tree;
+  }
+  let consolidated = null;
+  let prebuilt = null;
+  try {
+    ({ consolidated, tree: prebuilt } = await loadZmetadata(store, signal));
+    console.info('[zarr] v2 consolidated loaded');
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    if (e?.forbidden) forbidden = forbidden || e;
+    console.warn('[zarr] v2 .zmetadata unavailable, crawling. Reason:', e?.message || e);
+  }
+  if (consolidated) {
+    const tree = prebuilt || buildTree(consolidated);
+    console.info('[zarr] v2 tree built successfully');
+    // fsspec Parquet references: a .zmetadata with record_size, chunk refs in <var>/refs.<n>.parq
+    if (store.kind === 'http' && Number.isFinite(consolidated.record_size)) {
+      tree.refs = { kind: 'parquet', base: store.url, store, recordSize: consolidated.record_size, cache: new Map() };
+      setStatus('Loaded Parquet references (.zmetadata).');
+    } else {
+      setStatus('Loaded Zarr v2 (.zmetadata).');
+    }
+    return tree;
+  }
+  let crawled;
+  try {
+    crawled = await crawlStore(store, 2, undefined, signal);
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    // Nothing readable at the root: a denied zarr.json/.zmetadata is the likelier cause
+    throw forbidden || e;
+  }
+  const tree = buildTree({ metadata: crawled.metadata });
+  setStatus(crawledStatus(2, crawled));
+  return tree;
+}
+
+// Open a local store; building the store itself (e.g. reading a zip index) may fail before openStore()
+async function openLocalStore(makeStore) {
+  try {
+    setStatus("Opening local store...");
+    await openStore(await makeStore());
+  } catch (err) {
+    console.error('[zarr] local store error:', err);
+    slideEl().innerHTML = `<div class="error">${escapeHtml(err.message || String(err))}</div>`;
+    setStatus("Error.");
+  }
+}
+
+async function onOpenDirClick() {
+  if (window.showDirectoryPicker) {
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ mode: "read" });
+    } catch (e) {
+      if (e?.name !== "AbortError") setStatus(`Could not open folder: ${e.message || e}`);
+      return;
+    }
+    await openLocalStore(() => createDirectoryHandleStore(handle));
     return;
   }
+  $("#dirInput").click();
+}
 
-  parts.push(`<div class="node-title">Group <span class="badge">${escapeHtml(activePath)}</span></div>`);
-  // Apply naming spec to this group's direct subgroups (if any) before rendering cards
-  applyNamingSpecIfAny(node.path);
-  const groupView = renderGroupLikeXarray(state.tree, node);
-  parts.push(groupView);
-  el.innerHTML = parts.join("");
-  // Render aggregated attributes in separate panel
-  const agg = document.getElementById('aggPanel');
-  const stage = document.querySelector('main.stage');
-  if (agg) {
-    if (hasMultipleSubgroups(state.tree, node)) {
-      const aggView = renderAggregatedGroupAttrs(state.tree, node);
-      agg.hidden = false;
-      agg.innerHTML = `<div class="node-title">Aggregated attributes <span class="badge">${escapeHtml(activePath)}</span></div>${aggView}`;
-      if (stage) stage.classList.add('two-col');
-    } else {
-      agg.hidden = true;
-      agg.innerHTML = "";
-      if (stage) stage.classList.remove('two-col');
+function onDirInputChange(ev) {
+  const list = Array.from(ev.target.files || []);
+  if (!list.length) return;
+  // webkitRelativePath is "<picked folder>/<path in store>"
+  const label = list[0].webkitRelativePath.split("/")[0] || "folder";
+  const files = new Map(list.map((f) => [f.webkitRelativePath.split("/").slice(1).join("/"), f]));
+  ev.target.value = "";
+  openLocalStore(() => createFileMapStore(label, files));
+}
+
+function onZipInputChange(ev) {
+  const file = ev.target.files && ev.target.files[0];
+  ev.target.value = "";
+  if (file) openLocalStore(() => createZipStore(file, file.name));
+}
+
+function onDrop(ev) {
+  ev.preventDefault();
+  document.body.classList.remove("dropping");
+  const item = Array.from(ev.dataTransfer?.items || []).find((i) => i.kind === "file");
+  if (!item) return;
+  // DataTransfer items are only readable during the event, so grab every representation up front
+  const handlePromise = item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null;
+  const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+  const file = item.getAsFile();
+  openLocalStore(async () => {
+    const handle = handlePromise ? await handlePromise : null;
+    if (handle?.kind === "directory") return createDirectoryHandleStore(handle);
+    if (entry?.isDirectory) return createFileMapStore(entry.name, await filesFromEntry(entry));
+    if (file && /\.zip$/i.test(file.name)) return createZipStore(file, file.name);
+    throw new Error("Unsupported drop: expected a .zarr folder or a .zip file.");
+  });
+}
+
+// --- CF conventions check ---
+// Metadata-only checks of CF attributes per array. Standard names are validated against the CF standard
+// name table (a pinned version, fetched once per session), aliases included. Until it arrives, or when it
+// cannot be fetched, the bundled subset below only supplies canonical units and unknown names go unreported.
+
+const CF_STANDARD_NAME_TABLE_VERSION = 84;
+const CF_STANDARD_NAME_TABLE_URL = `https://cfconventions.org/Data/cf-standard-names/${CF_STANDARD_NAME_TABLE_VERSION}/src/cf-standard-name-table.xml`;
+
+// Canonical units of common standard names, used while the full table is not loaded
+const CF_STANDARD_NAMES = {
+  time: "s",
+  latitude: "degree_north",
+  longitude: "degree_east",
+  grid_latitude: "degree",
+  grid_longitude: "degree",
+  projection_x_coordinate: "m",
+  projection_y_coordinate: "m",
+  height: "m",
+  altitude: "m",
+  depth: "m",
+  model_level_number: "1",
+  atmosphere_hybrid_sigma_pressure_coordinate: "1",
+  atmosphere_hybrid_height_coordinate: "m",
+  atmosphere_sigma_coordinate: "1",
+  ocean_sigma_coordinate: "1",
+  cell_area: "m2",
+  cell_thickness: "m",
+  air_temperature: "K",
+  air_potential_temperature: "K",
+  dew_point_temperature: "K",
+  air_pressure: "Pa",
+  air_pressure_at_mean_sea_level: "Pa",
+  surface_air_pressure: "Pa",
+  air_density: "kg m-3",
+  specific_humidity: "1",
+  relative_humidity: "1",
+  mass_fraction_of_cloud_liquid_water_in_air: "1",
+  mass_fraction_of_cloud_ice_in_air: "1",
+  mole_fraction_of_ozone_in_air: "1",
+  cloud_area_fraction: "1",
+  cloud_area_fraction_in_atmosphere_layer: "1",
+  atmosphere_boundary_layer_thickness: "m",
+  atmosphere_mass_content_of_water_vapor: "kg m-2",
+  atmosphere_mass_content_of_cloud_liquid_water: "kg m-2",
+  atmosphere_mass_content_of_cloud_ice: "kg m-2",
+  eastward_wind: "m s-1",
+  northward_wind: "m s-1",
+  x_wind: "m s-1",
+  y_wind: "m s-1",
+  upward_air_velocity: "m s-1",
+  lagrangian_tendency_of_air_pressure: "Pa s-1",
+  wind_speed: "m s-1",
+  wind_speed_of_gust: "m s-1",
+  wind_from_direction: "degree",
+  geopotential: "m2 s-2",
+  geopotential_height: "m",
+  tendency_of_air_temperature: "K s-1",
+  visibility_in_air: "m",
+  precipitation_flux: "kg m-2 s-1",
+  convective_precipitation_flux: "kg m-2 s-1",
+  stratiform_precipitation_flux: "kg m-2 s-1",
+  rainfall_flux: "kg m-2 s-1",
+  snowfall_flux: "kg m-2 s-1",
+  precipitation_amount: "kg m-2",
+  lwe_precipitation_rate: "m s-1",
+  water_evapotranspiration_flux: "kg m-2 s-1",
+  surface_temperature: "K",
+  surface_upward_latent_heat_flux: "W m-2",
+  surface_upward_sensible_heat_flux: "W m-2",
+  surface_downwelling_shortwave_flux_in_air: "W m-2",
+  surface_upwelling_shortwave_flux_in_air: "W m-2",
+  surface_downwelling_longwave_flux_in_air: "W m-2",
+  surface_upwelling_longwave_flux_in_air: "W m-2",
+  net_downward_shortwave_flux_in_air: "W m-2",
+  net_downward_longwave_flux_in_air: "W m-2",
+  toa_incoming_shortwave_flux: "W m-2",
+  toa_outgoing_shortwave_flux: "W m-2",
+  toa_outgoing_longwave_flux: "W m-2",
+  surface_downward_eastward_stress: "Pa",
+  surface_downward_northward_stress: "Pa",
+  surface_albedo: "1",
+  surface_roughness_length: "m",
+  surface_altitude: "m",
+  land_area_fraction: "1",
+  land_ice_area_fraction: "1",
+  vegetation_area_fraction: "1",
+  leaf_area_index: "1",
+  soil_temperature: "K",
+  mass_content_of_water_in_soil_layer: "kg m-2",
+  moisture_content_of_soil_layer: "kg m-2",
+  surface_snow_amount: "kg m-2",
+  surface_snow_thickness: "m",
+  surface_snow_area_fraction: "1",
+  surface_runoff_flux: "kg m-2 s-1",
+  runoff_flux: "kg m-2 s-1",
+  sea_water_temperature: "K",
+  sea_water_potential_temperature: "K",
+  sea_water_conservative_temperature: "K",
+  sea_water_salinity: "1e-3",
+  sea_water_practical_salinity: "1",
+  sea_water_absolute_salinity: "g kg-1",
+  sea_water_density: "kg m-3",
+  sea_water_pressure: "dbar",
+  sea_surface_temperature: "K",
+  sea_surface_salinity: "1e-3",
+  sea_surface_height_above_geoid: "m",
+  sea_surface_height_above_sea_level: "m",
+  sea_floor_depth_below_geoid: "m",
+  sea_water_x_velocity: "m s-1",
+  sea_water_y_velocity: "m s-1",
+  eastward_sea_water_velocity: "m s-1",
+  northward_sea_water_velocity: "m s-1",
+  upward_sea_water_velocity: "m s-1",
+  ocean_mixed_layer_thickness: "m",
+  sea_ice_area_fraction: "1",
+  sea_ice_thickness: "m",
+  sea_ice_x_velocity: "m s-1",
+  sea_ice_y_velocity: "m s-1",
+};
+const CF_STANDARD_NAME_MODIFIERS = ["detection_minimum", "number_of_observations", "standard_error", "status_flag"];
+const CF_SEVERITIES = ["error", "warning", "info"];
+const cfChecks = new WeakMap(); // tree -> Map(array path -> findings)
+let cfNameTable = null; // { version, units: Map(name -> canonical units), aliases: Map(alias -> name) } once fetched
+let cfNameTableLoad = null; // the fetch, started by the first CF report
+
+function parseCfStandardNameTable(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("the standard name table is not valid XML");
+  const units = new Map();
+  for (const entry of doc.querySelectorAll("entry[id]")) units.set(entry.getAttribute("id"), entry.querySelector("canonical_units")?.textContent.trim() || "");
+  const aliases = new Map();
+  for (const alias of doc.querySelectorAll("alias[id]")) {
+    const target = alias.querySelector("entry_id")?.textContent.trim();
+    if (target) aliases.set(alias.getAttribute("id"), target);
+  }
+  const version = doc.querySelector("version_number")?.textContent.trim() || String(CF_STANDARD_NAME_TABLE_VERSION);
+  return { version, units, aliases };
+}
+
+// Once the table arrives, the loaded tree is checked again and a page showing CF findings re-rendered
+function loadCfStandardNameTable() {
+  if (cfNameTableLoad) return;
+  cfNameTableLoad = fetch(CF_STANDARD_NAME_TABLE_URL, { mode: "cors" })
+    .then(async (res) => {
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      cfNameTable = parseCfStandardNameTable(await res.text());
+      if (!state.tree) return;
+      cfChecks.delete(state.tree);
+      if (!state.compare && document.querySelector(".cf-report")) renderActive();
+    })
+    .catch((e) => console.warn('[zarr] CF standard name table not loaded; only the bundled units are checked:', e));
+}
+
+// Unit strings compared loosely: "degrees_north" = "degree_north", "m s-1" = "m/s", "kg m-2 s-1" = "kg/m2/s"
+function normalizeUnits(units) {
+  return String(units).trim()
+    .replace(/\bdegrees(?=\b|_)/g, "degree")
+    .replace(/\*\*|\^/g, "")
+    .replace(/[.*]/g, " ")
+    .replace(/\/\s*([a-zA-Z]+)(\d*)/g, (m, u, p) => ` ${u}-${p || "1"}`)
+    .replace(/\s+/g, " ");
+}
+
+// CF 1.8 lookup of a variable named in an attribute: absolute or relative path, else search upwards
+function resolveCfReference(tree, groupPath, ref) {
+  if (ref.startsWith("/")) return tree.pathMap.get(normalizePath(ref)) || null;
+  if (ref.includes("/")) {
+    let path = groupPath;
+    for (const seg of ref.split("/")) {
+      if (seg === "..") path = dirname(path);
+      else if (seg && seg !== ".") path = join(path, seg);
     }
+    return tree.pathMap.get(path) || null;
   }
-  updateHeaderControls();
-  const inputEl = document.querySelector('#zarrUrl');
-  if (inputEl && state.baseUrl) inputEl.value = humanReadableUri();
-  renderSidebar();
-  } catch (e) {
-    el.innerHTML = `<div class="error">Render error: ${escapeHtml(e.message || String(e))}</div>`;
+  for (let path = groupPath; ; path = dirname(path)) {
+    const node = tree.pathMap.get(join(path, ref));
+    if (node) return node;
+    if (path === "/") return null;
   }
 }
 
-function renderAggregatedGroupAttrs(tree, grpNode) {
-  if (!tree || !grpNode) return "";
-  // Use only direct subgroup groups of the active group
-  const children = (grpNode.children || [])
-    .map((name) => tree.pathMap.get(join(grpNode.path, name)))
-    .filter((n) => n && n.type === "group");
-  if (!children.length) return "";
-  const allKeys = new Set();
-  for (const n of children) {
-    const a = n.attrs || {};
-    for (const k of Object.keys(a)) allKeys.add(k);
+function fillValueProblem(value, dtype) {
+  const isInt = /^u?int\d+$/.test(dtype);
+  const isFloat = /^float\d+$/.test(dtype);
+  if (!isInt && !isFloat) return null;
+  for (const v of Array.isArray(value) ? value : [value]) {
+    if (isFloat) {
+      if (typeof v === "number" || (typeof v === "string" && /^(nan|[+-]?inf(inity)?)$/i.test(v))) continue;
+      return `${JSON.stringify(v)} is not a number (dtype ${dtype})`;
+    }
+    if (typeof v !== "number" || !Number.isInteger(v)) return `${JSON.stringify(v)} is not an integer (dtype ${dtype})`;
+    const bits = Number(dtype.match(/\d+$/)[0]);
+    if (bits >= 64) continue;
+    const [min, max] = dtype.startsWith("u") ? [0, 2 ** bits - 1] : [-(2 ** (bits - 1)), 2 ** (bits - 1) - 1];
+    if (v < min || v > max) return `${v} is out of range for ${dtype}`;
   }
-  const keys = Array.from(allKeys).sort();
-  // Unique values summary (previous view)
-  const summaryRows = [];
-  for (const k of keys) {
-    const present = [];
-    for (const n of children) {
-      const a = n.attrs || {};
-      if (Object.prototype.hasOwnProperty.call(a, k)) present.push(a[k]);
-    }
-    if (!present.length) continue;
-    let allEqual = true;
-    for (let i = 1; i < present.length; i++) {
-      if (!deepEqualSimple(present[0], present[i])) { allEqual = false; break; }
-    }
-    let display;
-    if (allEqual) {
-      const v = present[0];
-      if (v == null) display = "null";
-      else if (typeof v === "object") display = JSON.stringify(v);
-      else display = String(v);
+  return null;
+}
+
+// Names used in cell_methods ("time: mean (interval: 1 hour) area: mean where land"), comments dropped
+function cellMethodNames(text) {
+  return Array.from(String(text).replace(/\([^)]*\)/g, " ").matchAll(/([^\s:]+):/g), (m) => m[1]);
+}
+
+/** Finding shape
+ * { path: string, severity: "error" | "warning" | "info", attr?: string, message: string }
+ */
+function checkCfArray(tree, arr, auxiliary) {
+  const out = [];
+  const add = (severity, attr, message) => out.push({ path: arr.path, severity, attr, message });
+  const attrs = arr.attrs || {};
+  const model = arr.array || {};
+  const group = dirname(arr.path);
+  const dims = inferArrayDims(arr);
+  const isCoord = (model.shape || []).length === 1;
+  const isText = !/^(u?int|float|complex)\d+$/.test(model.dtype || "");
+  const isFlag = attrs.flag_values != null || attrs.flag_meanings != null || attrs.flag_masks != null;
+  const timeUnits = typeof attrs.units === "string" && /\bsince\b/i.test(attrs.units);
+  if (!auxiliary && !isText && !isFlag) {
+    if (attrs.units == null) add(isCoord ? "info" : "warning", "units", "no units");
+    if (attrs.standard_name == null && !isCoord) add("warning", "standard_name", "no standard_name");
+  }
+  if (attrs.standard_name != null) {
+    const [name, modifier, ...rest] = String(attrs.standard_name).trim().split(/\s+/);
+    const current = cfNameTable?.aliases.get(name) ?? name;
+    const canonical = cfNameTable ? cfNameTable.units.get(current) : CF_STANDARD_NAMES[name];
+    if (rest.length || (modifier && !CF_STANDARD_NAME_MODIFIERS.includes(modifier))) {
+      add("error", "standard_name", `"${attrs.standard_name}" is not a standard name with an optional modifier`);
+    } else if (cfNameTable && canonical == null) {
+      add("error", "standard_name", `"${name}" is not in the CF standard name table (version ${cfNameTable.version})`);
     } else {
-      const asKey = (v) => v == null ? "__NULL__" : (typeof v === "object" ? JSON.stringify(v) : String(v));
-      const toDisp = (v) => v == null ? "null" : (typeof v === "object" ? JSON.stringify(v) : String(v));
-      const seen = new Set();
-      const uniques = [];
-      for (const v of present) {
-        const key = asKey(v);
-        if (!seen.has(key)) { seen.add(key); uniques.push(toDisp(v)); }
+      if (current !== name) add("warning", "standard_name", `"${name}" is an alias of "${current}" in the CF standard name table`);
+      if (canonical && !modifier && attrs.units != null && !timeUnits && normalizeUnits(attrs.units) !== normalizeUnits(canonical)) {
+        add("info", "units", `units "${attrs.units}" differ from the canonical units "${canonical}" of ${current}`);
       }
-      display = uniques.join(", ");
     }
-    summaryRows.push(`<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(display)}</div>`);
   }
-  const summaryBody = summaryRows.length ? summaryRows.join("") : `<div class="small">(none)</div>`;
-  const summaryHtml = `<div class="section"><h3>Unique values</h3><div class="codeblock"><div class="meta small">${summaryBody}</div></div></div>`;
-  const selectOpt = (v, label) => `<option value="${escapeHtml(String(v))}">${escapeHtml(String(label))}</option>`;
-  const controls = `
-    <div class="section">
-      <h3>Interactive table</h3>
-      <div class="pivot-controls">
-        <label>Rows
-          <select id="rowAttrSel">
-            ${selectOpt("", "(none)")}
-            ${keys.map(k => selectOpt(k, k)).join("")}
-          </select>
-        </label>
-        <label>Columns
-          <select id="colAttrSel">
-            ${selectOpt("", "(none)")}
-            ${keys.map(k => selectOpt(k, k)).join("")}
-          </select>
-        </label>
+  for (const ref of String(attrs.coordinates ?? "").split(/\s+/).filter(Boolean)) {
+    if (!resolveCfReference(tree, group, ref)) add("error", "coordinates", `coordinate "${ref}" does not exist`);
+  }
+  if (attrs.bounds != null && !resolveCfReference(tree, group, String(attrs.bounds))) add("error", "bounds", `bounds variable "${attrs.bounds}" does not exist`);
+  if (attrs.cell_methods != null) {
+    for (const name of cellMethodNames(attrs.cell_methods)) {
+      if (name === "area" || dims.includes(name) || resolveCfReference(tree, group, name)) continue;
+      add("warning", "cell_methods", `"${name}" in cell_methods is neither a dimension nor a variable`);
+    }
+  }
+  if (attrs.grid_mapping != null) {
+    // "crs" or the extended form "crs: lat lon crs2: x y"
+    const text = String(attrs.grid_mapping);
+    const refs = text.includes(":") ? text.split(/\s+/).filter(Boolean).map((t) => t.replace(/:$/, "")) : [text.trim()];
+    for (const ref of refs) {
+      if (!resolveCfReference(tree, group, ref)) add("error", "grid_mapping", `grid_mapping variable "${ref}" does not exist`);
+    }
+  }
+  for (const key of ["_FillValue", "missing_value"]) {
+    if (attrs[key] == null) continue;
+    const problem = fillValueProblem(attrs[key], model.dtype);
+    if (problem) add("error", key, problem);
+  }
+  if (timeUnits) {
+    if (attrs.calendar != null && !CF_CALENDARS[String(attrs.calendar).toLowerCase()]) add("error", "calendar", `unknown calendar "${attrs.calendar}"`);
+    else if (!cfTimeDecoder(attrs.units, attrs.calendar)) add("error", "units", `"${attrs.units}" is not a valid time unit ("<unit> since <date>")`);
+  } else if (attrs.calendar != null && attrs.units != null) {
+    add("warning", "calendar", "calendar is set but units are not a time reference");
+  }
+  return out;
+}
+
+// Findings for every array of the tree, keyed by array path
+function checkCfTree(tree) {
+  let result = cfChecks.get(tree);
+  if (result) return result;
+  // Bounds, climatology and grid mapping variables are auxiliary: they need no units or standard_name
+  const auxiliary = new Set();
+  for (const node of tree.pathMap.values()) {
+    if (node.type !== "array") continue;
+    if (node.attrs?.grid_mapping_name != null) auxiliary.add(node.path);
+    for (const key of ["bounds", "climatology"]) {
+      const ref = node.attrs?.[key] != null ? resolveCfReference(tree, dirname(node.path), String(node.attrs[key])) : null;
+      if (ref) auxiliary.add(ref.path);
+    }
+  }
+  result = new Map();
+  for (const node of tree.pathMap.values()) {
+    if (node.type === "array") result.set(node.path, checkCfArray(tree, node, auxiliary.has(node.path)));
+  }
+  cfChecks.set(tree, result);
+  return result;
+}
+
+// Findings of the arrays directly in a group, or of the whole store when `path` is null
+function cfFindings(tree, path) {
+  const all = [];
+  for (const [arrPath, findings] of checkCfTree(tree)) {
+    if (path == null || dirname(arrPath) === path) all.push(...findings);
+  }
+  return all;
+}
+
+function renderCfBadge(arr) {
+  const findings = state.tree ? checkCfTree(state.tree).get(arr.path) || [] : [];
+  const worst = CF_SEVERITIES.find((sev) => findings.some((f) => f.severity === sev));
+  if (!worst || worst === "info") return "";
+  const title = findings.map((f) => `${f.severity}: ${f.message}`).join("\n");
+  return `<span class="cf-badge cf-${worst}" title="${escapeHtml(title)}">CF ${findings.filter((f) => f.severity !== "info").length}</span>`;
+}
+
+function renderCfReport(tree, grpNode, wholeStore = false) {
+  const findings = cfFindings(tree, wholeStore ? null : grpNode.path);
+  const counts = CF_SEVERITIES.map((sev) => `${findings.filter((f) => f.severity === sev).length} ${sev}`).join(", ");
+  const groups = CF_SEVERITIES.map((sev) => {
+    const items = findings.filter((f) => f.severity === sev);
+    if (!items.length) return "";
+    const lines = items.map((f) => `<div class="issue issue-${sev}"><a href="#" data-path="${escapeHtml(f.path)}" class="navlink">${escapeHtml(wholeStore ? f.path : basename(f.path))}</a>${f.attr ? ` <code>${escapeHtml(f.attr)}</code>` : ""} ${escapeHtml(f.message)}</div>`).join("");
+    return `<div class="cf-severity"><span class="badge">${sev}</span>${lines}</div>`;
+  }).join("");
+  return `
+    <div class="cf-report" data-cf-path="${escapeHtml(grpNode.path)}" data-cf-scope="${wholeStore ? "store" : "group"}">
+      <div class="stats-controls">
+        <span class="small">${wholeStore ? "Whole store" : "This group"}: ${escapeHtml(counts)}</span>
+        <button type="button" class="cf-scope">${wholeStore ? "Check this group" : "Check whole store"}</button>
+        <button type="button" class="cf-export">Export JSON</button>
       </div>
-      <div id="pivotHost"></div>
+      <div class="codeblock small">${groups || "No findings."}</div>
+      <div class="small">${cfNameTable ? `Standard names checked against CF standard name table version ${escapeHtml(cfNameTable.version)}.` : "CF standard name table not loaded: standard names are not checked, only the units of common ones."}</div>
     </div>
   `;
-  queueMicrotask(() => bindAggPivot(children));
-  return summaryHtml + controls;
 }
 
-function deepEqualSimple(a, b) {
-  if (a === b) return true;
-  if (typeof a !== typeof b) return false;
-  if (a && b && typeof a === "object") {
-    try { return JSON.stringify(a) === JSON.stringify(b); } catch { return false; }
+function bindCfReport() {
+  const el = document.querySelector(".cf-report[data-cf-path]");
+  if (!el || !state.tree) return;
+  loadCfStandardNameTable();
+  const grpNode = state.tree.pathMap.get(el.getAttribute("data-cf-path"));
+  const wholeStore = el.getAttribute("data-cf-scope") === "store";
+  el.querySelector(".cf-scope").addEventListener("click", () => {
+    el.outerHTML = renderCfReport(state.tree, grpNode, !wholeStore);
+    bindCfReport();
+  });
+  el.querySelector(".cf-export").addEventListener("click", () => {
+    const findings = cfFindings(state.tree, wholeStore ? null : grpNode.path);
+    const report = {
+      store: state.baseUrl,
+      scope: wholeStore ? "/" : grpNode.path,
+      bySeverity: Object.fromEntries(CF_SEVERITIES.map((sev) => [sev, findings.filter((f) => f.severity === sev)])),
+    };
+    const name = wholeStore ? "store" : basename(grpNode.path) || "root";
+    downloadText(`cf-check-${name}.json`, JSON.stringify(report, null, 2), "application/json");
+    setStatus(`Exported ${findings.length} CF finding(s).`);
+  });
+}
+
+// --- DataTree alignment ---
+// Checks that xr.open_datatree would trip over: dims whose sizes conflict within a group or with an ancestor
+// (its index coordinate, or its variables for a dim without one), dimension names that do not fit the shape,
+// arrays without dimension names; plus (informational) a dim sized differently across sibling groups.
+
+const treeValidations = new WeakMap(); // tree -> { issues, byGroup }
+
+/** Issue shape
+ * { path: string, severity: "error" | "warning", message: string } // path of the offending group or array
+ */
+function validateTree(tree) {
+  let result = treeValidations.get(tree);
+  if (result) return result;
+  const issues = [];
+  const dimsOf = new Map(); // group path -> Map(dim -> { size, path })
+  for (const node of tree.pathMap.values()) {
+    if (node.type !== "group") continue;
+    const dims = new Map();
+    for (const arr of collectArrays(tree, node, 0, 0)) {
+      const shape = arr.array?.shape || [];
+      const names = arr.array?.dimensionNames;
+      const source = arr.array?.zarrFormat === 3 ? "dimension_names" : "_ARRAY_DIMENSIONS";
+      if (!names) {
+        if (shape.length) issues.push({ path: arr.path, severity: "warning", message: `no ${source}: its ${shape.length} dim(s) have no names, so xarray cannot size them` });
+        continue;
+      }
+      if (names.length !== shape.length) {
+        issues.push({ path: arr.path, severity: "error", message: `${source} has ${names.length} name(s) but the array has rank ${shape.length}` });
+        continue;
+      }
+      names.forEach((d, i) => {
+        const seen = dims.get(d);
+        if (!seen) dims.set(d, { size: shape[i], path: arr.path });
+        else if (seen.size !== shape[i]) issues.push({ path: arr.path, severity: "error", message: `dim "${d}" has size ${shape[i]} here but ${seen.size} in ${basename(seen.path)}` });
+      });
+    }
+    dimsOf.set(node.path, dims);
+  }
+  for (const [path, dims] of dimsOf) {
+    // Alignment with the nearest ancestor that has the dim: its index coordinate (1D array named after
+    // the dim) when there is one, else the size its variables give the dim, as exact alignment requires
+    for (const [d, { size, path: src }] of dims) {
+      for (let p = path; p !== "/";) {
+        p = dirname(p);
+        const coord = tree.pathMap.get(join(p, d));
+        if (coord?.type === "array" && (coord.array?.shape || []).length === 1) {
+          const coordSize = coord.array.shape[0];
+          if (coordSize !== size) issues.push({ path, severity: "error", message: `not aligned with ${p}: dim "${d}" has size ${size} (${basename(src)}) but coordinate ${coord.path} has size ${coordSize}` });
+          break;
+        }
+        const other = dimsOf.get(p)?.get(d);
+        if (!other) continue;
+        if (other.size !== size) issues.push({ path, severity: "error", message: `not aligned with ${p}: dim "${d}" has size ${size} (${basename(src)}) but ${other.size} in ${other.path}, which has no index` });
+        break;
+      }
+    }
+    // Same dim name sized differently across the child groups
+    const kids = (tree.pathMap.get(path)?.children || []).map((name) => join(path, name)).filter((p) => dimsOf.has(p));
+    const sizes = new Map(); // dim -> Map(size -> child names)
+    for (const kid of kids) {
+      for (const [d, { size }] of dimsOf.get(kid)) {
+        if (!sizes.has(d)) sizes.set(d, new Map());
+        const bySize = sizes.get(d);
+        if (!bySize.has(size)) bySize.set(size, []);
+        bySize.get(size).push(basename(kid));
+      }
+    }
+    for (const [d, bySize] of sizes) {
+      if (bySize.size < 2) continue;
+      const detail = Array.from(bySize, ([size, names]) => `${size} in ${names.join(", ")}`).join("; ");
+      issues.push({ path, severity: "warning", message: `dim "${d}" differs across subgroups: ${detail}` });
+    }
+  }
+  const byGroup = new Map(); // group path -> { errors, warnings }
+  for (const issue of issues) {
+    const node = tree.pathMap.get(issue.path);
+    const group = node?.type === "array" ? dirname(issue.path) : issue.path;
+    if (!byGroup.has(group)) byGroup.set(group, { errors: 0, warnings: 0 });
+    byGroup.get(group)[issue.severity === "error" ? "errors" : "warnings"]++;
+  }
+  result = { issues, byGroup };
+  treeValidations.set(tree, result);
+  return result;
+}
+
+function renderIssueBadge(tree, path) {
+  const counts = validateTree(tree).byGroup.get(path);
+  if (!counts) return "";
+  const severity = counts.errors ? "error" : "warning";
+  const title = [counts.errors ? `${counts.errors} error(s)` : "", counts.warnings ? `${counts.warnings} warning(s)` : ""].filter(Boolean).join(", ");
+  return ` <span class="issue-badge issue-${severity}" title="${escapeHtml(title)}">${counts.errors + counts.warnings}</span>`;
+}
+
+// Issues of the group and everything below it
+function renderTreeValidation(tree, grpNode) {
+  const issues = validateTree(tree).issues.filter((i) => isSubtreeOpen(grpNode.path, i.path));
+  if (!issues.length) return "";
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1) || a.path.localeCompare(b.path));
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const items = issues.map((i) => `<div class="issue issue-${i.severity}"><span class="badge">${i.severity}</span> <a href="#" data-path="${escapeHtml(i.path)}" class="navlink">${escapeHtml(i.path)}</a> ${escapeHtml(i.message)}</div>`).join("");
+  return `
+    <div class="section">
+      <details ${errors ? "open" : ""}>
+        <summary>DataTree alignment: ${errors} error(s), ${issues.length - errors} warning(s)</summary>
+        <div class="codeblock small">${items}</div>
+      </details>
+    </div>
+  `;
+}
+
+// --- Compare ---
+// Two subtrees (of this store, or of this store and another one) are matched by path relative to their
+// roots. Side: { label, tree, path }.
+
+const ARRAY_DIFF_FIELDS = [
+  ["shape", (node) => JSON.stringify(node.array.shape)],
+  ["dims", (node) => JSON.stringify(inferArrayDims(node))],
+  ["dtype", (node) => String(node.array.dtype ?? "")],
+  ["chunks", (node) => JSON.stringify(node.array.sharding ? node.array.sharding.chunkShape : node.array.chunks)],
+  ["shards", (node) => node.array.sharding ? JSON.stringify(node.array.chunks) : "(none)"],
+  ["codecs", (node) => describeCodecChain(node.array.codecs)],
+  ["fill_value", (node) => formatFillValue(node.array.fillValue)],
+  ["zarr_format", (node) => String(node.array.zarrFormat)],
+];
+
+function relativePath(root, path) {
+  if (root === "/") return path;
+  return path === root ? "/" : path.slice(root.length);
+}
+
+function subtreePaths(side) {
+  const rels = new Map();
+  for (const [path, node] of side.tree.pathMap) {
+    if (isSubtreeOpen(side.path, path)) rels.set(relativePath(side.path, path), node);
+  }
+  return rels;
+}
+
+function diffAttrs(a = {}, b = {}) {
+  const keys = Array.from(new Set([...Object.keys(a), ...Object.keys(b)])).sort();
+  const out = [];
+  for (const key of keys) {
+    if (key === "_ARRAY_DIMENSIONS") continue; // v2 encoding of dims, compared as a field
+    const inA = Object.prototype.hasOwnProperty.call(a, key);
+    const inB = Object.prototype.hasOwnProperty.call(b, key);
+    if (inA && inB && deepEqualSimple(a[key], b[key])) continue;
+    out.push({ key, status: !inA ? "added" : !inB ? "removed" : "changed", left: inA ? valueLabel(a[key]) : "", right: inB ? valueLabel(b[key]) : "" });
+  }
+  return out;
+}
+
+/** Diff entry shape
+ * {
+ *  rel: string, // path relative to both roots ("/" for the roots)
+ *  left?: Node, right?: Node,
+ *  status: "added" | "removed" | "changed" | "same",
+ *  fields: { field, left, right }[], // type and array metadata that differ
+ *  attrs: { key, status, left, right }[] // attributes that differ
+ * }
+ */
+function diffTrees(leftSide, rightSide) {
+  const left = subtreePaths(leftSide);
+  const right = subtreePaths(rightSide);
+  const rels = Array.from(new Set([...left.keys(), ...right.keys()]));
+  // Parents before children, siblings by name
+  const segs = (rel) => rel.split("/").filter(Boolean);
+  rels.sort((a, b) => {
+    const sa = segs(a);
+    const sb = segs(b);
+    for (let i = 0; i < Math.min(sa.length, sb.length); i++) {
+      const c = sa[i].localeCompare(sb[i]);
+      if (c) return c;
+    }
+    return sa.length - sb.length;
+  });
+  return rels.map((rel) => {
+    const l = left.get(rel);
+    const r = right.get(rel);
+    if (!l || !r) return { rel, left: l, right: r, status: l ? "removed" : "added", fields: [], attrs: [] };
+    const fields = [];
+    if (l.type !== r.type) fields.push({ field: "type", left: l.type, right: r.type });
+    else if (l.type === "array") {
+      for (const [field, get] of ARRAY_DIFF_FIELDS) {
+        const a = get(l);
+        const b = get(r);
+        if (a !== b) fields.push({ field, left: a, right: b });
+      }
+    }
+    const attrs = diffAttrs(l.attrs, r.attrs);
+    return { rel, left: l, right: r, status: fields.length || attrs.length ? "changed" : "same", fields, attrs };
+  });
+}
+
+function renderCompare() {
+  const { left, right, onlyDiffs } = state.compare;
+  const entries = diffTrees(left, right);
+  // With "only differences", unchanged ancestors of a difference stay as context
+  const context = new Set();
+  for (const e of entries) {
+    if (e.status === "same") continue;
+    let p = dirname(e.rel);
+    while (p && !context.has(p)) {
+      context.add(p);
+      if (p === "/") break;
+      p = dirname(p);
+    }
+  }
+  const count = (status, type) => entries.filter((e) => e.status === status && (e.left || e.right).type === type).length;
+  const attrChanges = entries.reduce((n, e) => n + e.attrs.length, 0);
+  const summary = [
+    `${count("added", "group")} group(s) added`,
+    `${count("removed", "group")} removed`,
+    `${count("added", "array")} variable(s) added`,
+    `${count("removed", "array")} removed`,
+    `${entries.filter((e) => e.status === "changed").length} node(s) changed`,
+    `${attrChanges} attribute difference(s)`,
+  ].join(" · ");
+  const nodeCell = (node, rel) => {
+    if (!node) return `<td class="diff-side"></td>`;
+    const depth = rel.split("/").filter(Boolean).length;
+    const name = rel === "/" ? node.path : basename(rel);
+    const badge = node.type === "array" ? "var" : "grp";
+    const extra = node.type === "array" ? ` <span class="small">${escapeHtml(JSON.stringify(node.array.shape))} ${escapeHtml(String(node.array.dtype ?? ""))}</span>` : "";
+    return `<td class="diff-side" style="padding-left: ${8 + depth * 14}px"><span class="badge">${badge}</span> ${escapeHtml(name)}${extra}</td>`;
+  };
+  const detailRows = (e) => {
+    const rows = [
+      ...e.fields.map((f) => `<tr><th>${escapeHtml(f.field)}</th><td>${escapeHtml(f.left)}</td><td>${escapeHtml(f.right)}</td></tr>`),
+      ...e.attrs.map((a) => `<tr class="diff-${a.status}"><th>.attrs[${escapeHtml(a.key)}]</th><td>${escapeHtml(a.left)}</td><td>${escapeHtml(a.right)}</td></tr>`),
+    ];
+    return rows.length ? `<tr class="diff-detail"><td colspan="3"><table class="diff-fields">${rows.join("")}</table></td></tr>` : "";
+  };
+  const rows = entries.map((e) => {
+    if (onlyDiffs && e.status === "same" && !context.has(e.rel)) return "";
+    const tag = e.status === "same" ? "" : `<span class="diff-tag">${e.status}</span>`;
+    return `<tr class="diff-row diff-${e.status}">${nodeCell(e.left, e.rel)}<td class="diff-mid">${tag}</td>${nodeCell(e.right, e.rel)}</tr>${detailRows(e)}`;
+  }).join("");
+  const sideHead = (side) => `<th>${escapeHtml(side.label)}<div class="small">${escapeHtml(side.path)}</div></th>`;
+  slideEl().innerHTML = `
+    <div class="node-title">Compare</div>
+    <div class="compare-controls">
+      <label><input type="checkbox" id="compareOnlyDiffs" ${onlyDiffs ? "checked" : ""} /> Only differences</label>
+      <button type="button" id="compareCloseBtn">Close comparison</button>
+    </div>
+    <div class="small">${escapeHtml(summary)}</div>
+    <div class="pivot-wrap">
+      <table class="diff-table">
+        <thead><tr>${sideHead(left)}<th></th>${sideHead(right)}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+  const agg = document.getElementById('aggPanel');
+  if (agg) { agg.hidden = true; agg.innerHTML = ""; }
+  document.querySelector('main.stage')?.classList.remove('two-col');
+  $("#compareOnlyDiffs").addEventListener("change", (e) => {
+    state.compare.onlyDiffs = e.target.checked;
+    renderCompare();
+  });
+  $("#compareCloseBtn").addEventListener("click", () => {
+    closeCompare();
+    renderActive();
+  });
+  setStatus(`Compared: ${summary}.`);
+}
+
+// Group paths of the loaded store as suggestions for the compare form
+function fillComparePaths() {
+  const list = $("#comparePaths");
+  if (!list) return;
+  const groups = Array.from(state.tree?.pathMap.values() || []).filter((n) => n.type === "group").map((n) => n.path).sort();
+  list.innerHTML = groups.map((p) => `<option value="${escapeHtml(p)}"></option>`).join("");
+}
+
+// Aborts the other-store load of a compare that was resubmitted or navigated away from
+let compareController = null;
+
+function closeCompare() {
+  compareController?.abort();
+  state.compare = null;
+}
+
+async function onCompareFormSubmit(e) {
+  e.preventDefault();
+  if (!state.tree) {
+    setStatus("Load a store first.");
+    return;
+  }
+  const form = e.currentTarget;
+  const other = form.elements.otherStore.value.trim();
+  const leftPath = normalizePath(form.elements.leftPath.value.trim() || state.activePath);
+  const rightPath = normalizePath(form.elements.rightPath.value.trim() || (other ? "/" : state.activePath));
+  compareController?.abort();
+  const controller = new AbortController();
+  compareController = controller;
+  try {
+    let right = { label: state.baseUrl, tree: state.tree, path: rightPath };
+    if (other) {
+      setStatus("Loading store to compare...");
+      const url = resolveCloudUri(deriveBaseFromUrl(other));
+      right = { label: url, tree: await loadTree(httpStoreFor(url), controller.signal), path: rightPath };
+      if (controller.signal.aborted) return;
+    }
+    for (const [side, path] of [[state.tree, leftPath], [right.tree, rightPath]]) {
+      if (side.pathMap.get(path)?.type !== "group") throw new Error(`Not a group: ${path}`);
+    }
+    state.compare = { left: { label: state.baseUrl, tree: state.tree, path: leftPath }, right, onlyDiffs: state.compare?.onlyDiffs ?? true };
+    renderCompare();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('[zarr] compare error:', err);
+    slideEl().innerHTML = `<div class="error">${escapeHtml(err.message || String(err))}</div>`;
+    setStatus("Error.");
+  }
+}
+
+// --- Search ---
+// Every node is indexed by name, path and attributes. A query is a list of terms that must all match;
+// `key:value` terms match an attribute key exactly and its value as a substring (case-insensitive).
+
+const SEARCH_MAX_RESULTS = 50;
+const searchIndexes = new WeakMap(); // tree -> entries
+
+function attrText(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return value.map(attrText).join(", ");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function searchIndex(tree) {
+  let entries = searchIndexes.get(tree);
+  if (entries) return entries;
+  entries = [];
+  for (const node of tree.pathMap.values()) {
+    const name = node.path === "/" ? "/" : basename(node.path);
+    const attrs = Object.entries(node.attrs || {}).map(([key, value]) => {
+      const text = attrText(value);
+      return { key, text, keyLc: key.toLowerCase(), textLc: text.toLowerCase() };
+    });
+    entries.push({ node, name, nameLc: name.toLowerCase(), pathLc: node.path.toLowerCase(), attrs });
+  }
+  searchIndexes.set(tree, entries);
+  return entries;
+}
+
+// Terms are separated by spaces; double quotes keep spaces, e.g. long_name:"air temperature"
+function parseSearchQuery(text) {
+  const terms = [];
+  for (const m of String(text).matchAll(/(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S*))/g)) {
+    const value = (m[2] ?? m[3] ?? "").toLowerCase();
+    if (m[1]) terms.push({ key: m[1].toLowerCase(), value });
+    else if (value) terms.push({ key: null, value });
+  }
+  return terms;
+}
+
+// Best score of one term against an entry (0 = no match) and the attribute that matched, if any
+function scoreTerm(entry, term) {
+  const { value } = term;
+  if (term.key) {
+    let best = { score: 0, attr: null };
+    for (const attr of entry.attrs) {
+      if (attr.keyLc !== term.key) continue;
+      const score = !value ? 20 : attr.textLc === value ? 50 : attr.textLc.startsWith(value) ? 30 : attr.textLc.includes(value) ? 15 : 0;
+      if (score > best.score) best = { score, attr };
+    }
+    return best;
+  }
+  if (entry.nameLc === value) return { score: 100, attr: null };
+  if (entry.nameLc.startsWith(value)) return { score: 60, attr: null };
+  if (entry.nameLc.includes(value)) return { score: 40, attr: null };
+  let best = { score: entry.pathLc.includes(value) ? 20 : 0, attr: null };
+  for (const attr of entry.attrs) {
+    const score = attr.textLc === value ? 30 : attr.textLc.includes(value) ? 10 : attr.keyLc.includes(value) ? 8 : 0;
+    if (score > best.score) best = { score, attr };
+  }
+  return best;
+}
+
+function searchTree(tree, text) {
+  const terms = parseSearchQuery(text);
+  if (!terms.length) return [];
+  const results = [];
+  for (const entry of searchIndex(tree)) {
+    let score = 0;
+    const attrs = [];
+    for (const term of terms) {
+      const hit = scoreTerm(entry, term);
+      if (!hit.score) { score = 0; break; }
+      score += hit.score;
+      if (hit.attr && !attrs.includes(hit.attr)) attrs.push(hit.attr);
+    }
+    if (score) results.push({ entry, score, attrs });
+  }
+  // Higher score first, then shallower and shorter paths
+  results.sort((a, b) => b.score - a.score || a.entry.node.path.split("/").length - b.entry.node.path.split("/").length || a.entry.node.path.localeCompare(b.entry.node.path));
+  return results;
+}
+
+// Escape `text` and wrap case-insensitive occurrences of the query values in <mark>
+function highlightMatches(text, values) {
+  const needles = values.filter(Boolean);
+  if (!needles.length) return escapeHtml(text);
+  const re = new RegExp(needles.map((v) => v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "gi");
+  let html = "";
+  let last = 0;
+  for (const m of String(text).matchAll(re)) {
+    if (!m[0]) continue;
+    html += escapeHtml(text.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+function renderSearchResults(text) {
+  const host = $("#searchResults");
+  if (!host) return;
+  if (!state.tree || !String(text).trim()) {
+    host.hidden = true;
+    host.innerHTML = "";
+    return;
+  }
+  const results = searchTree(state.tree, text);
+  const values = parseSearchQuery(text).map((t) => t.value);
+  const items = results.slice(0, SEARCH_MAX_RESULTS).map(({ entry, attrs }, i) => {
+    const { node } = entry;
+    const badge = node.type === "array" ? "var" : "grp";
+    const attrHtml = attrs.map((a) => `<span class="search-attr">${escapeHtml(a.key)}: ${highlightMatches(a.text, values)}</span>`).join("");
+    return `<li class="search-result${i === 0 ? " selected" : ""}" data-path="${escapeHtml(node.path)}">
+      <span class="badge">${badge}</span> <span class="varname">${highlightMatches(entry.name, values)}</span>
+      <span class="small search-path">${highlightMatches(node.path, values)}</span>${attrHtml}
+    </li>`;
+  });
+  const more = results.length > SEARCH_MAX_RESULTS ? `<li class="small">${results.length - SEARCH_MAX_RESULTS} more, refine the query</li>` : "";
+  host.innerHTML = items.length ? `<ul>${items.join("")}${more}</ul>` : `<div class="small">No matches.</div>`;
+  host.hidden = false;
+}
+
+function selectSearchResult(li) {
+  const path = li?.getAttribute("data-path");
+  if (!path) return;
+  $("#searchResults").hidden = true;
+  setActive(path);
+}
+
+function onSearchKeydown(e) {
+  e.stopPropagation(); // keep arrow keys away from hierarchy navigation
+  const host = $("#searchResults");
+  const items = Array.from(host?.querySelectorAll(".search-result") || []);
+  const current = items.findIndex((li) => li.classList.contains("selected"));
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!items.length) return;
+    const next = (current + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+    items[current]?.classList.remove("selected");
+    items[next].classList.add("selected");
+    items[next].scrollIntoView?.({ block: "nearest" });
+  } else if (e.key === "Enter") {
+    selectSearchResult(items[current]);
+  } else if (e.key === "Escape") {
+    host.hidden = true;
+  }
+}
+
+function initSearch() {
+  const input = $("#searchInput");
+  const host = $("#searchResults");
+  if (!input || !host) return;
+  input.addEventListener("input", () => renderSearchResults(input.value));
+  input.addEventListener("focus", () => renderSearchResults(input.value));
+  input.addEventListener("keydown", onSearchKeydown);
+  host.addEventListener("mousedown", (e) => e.preventDefault()); // keep focus on the input while clicking
+  host.addEventListener("click", (e) => selectSearchResult(e.target.closest(".search-result")));
+  input.addEventListener("blur", () => { host.hidden = true; });
+}
+
+// --- URL state ---
+// The hash is a versioned query string, e.g. #v=1&store=https://host/x.zarr&path=/a&var=/a/tas&row=realm,
+// holding the store, active group, highlighted variable, naming scheme, pivot layout and facet filters.
+// Navigating pushes a history entry (Back/Forward walk through visited groups); view changes such
+// as pivot levels or facets replace the current one. Links of the form #<store>|<path> still open.
+
+const URL_STATE_VERSION = 1;
+
+function encodeUrlState() {
+  const params = new URLSearchParams({ v: String(URL_STATE_VERSION), store: state.baseUrl, path: state.activePath });
+  if (state.highlightVarPath && state.highlightVarPath !== state.activePath) params.set("var", state.highlightVarPath);
+  const naming = ($("#namingSpec")?.value || "").trim();
+  if (naming) params.set("naming", naming);
+  const { rows, cols, agg, sort } = state.pivot;
+  rows.forEach((k) => params.append("row", k));
+  cols.forEach((k) => params.append("col", k));
+  if (agg !== "count") params.set("agg", agg);
+  if (sort) {
+    params.set("sort", sort.col);
+    params.set("dir", sort.dir < 0 ? "desc" : "asc");
+  }
+  const { path, selected } = state.facets;
+  if (path && selected.size) {
+    params.set("facets", path);
+    for (const [key, values] of selected) for (const vk of values) params.append("facet", `${key}=${vk}`);
+  }
+  // "/" and ":" are legal in a query value and keep links readable
+  return params.toString().replace(/%2F/g, "/").replace(/%3A/g, ":");
+}
+
+/** UrlState shape
+ * { store: string, path: string, var: string | null, naming: string | null,
+ *   pivot: { rows, cols, agg, sort }, facets: { path, selected: Map<key, Set<valueKey>> } }
+ */
+function parseUrlState(raw) {
+  if (!raw) return null;
+  if (!/^v=\d/.test(raw)) {
+    // Legacy link: <store>|<path>; the store URL is everything before the first "|"
+    const cut = raw.indexOf("|");
+    const store = decodeURI(cut < 0 ? raw : raw.slice(0, cut));
+    const path = cut < 0 ? "/" : decodeURI(raw.slice(cut + 1));
+    return { store, path: normalizePath(path), var: null, naming: null, pivot: { rows: [], cols: [], agg: "count", sort: null }, facets: { path: null, selected: new Map() } };
+  }
+  const params = new URLSearchParams(raw);
+  const selected = new Map();
+  for (const facet of params.getAll("facet")) {
+    const cut = facet.indexOf("=");
+    if (cut < 0) continue;
+    const key = facet.slice(0, cut);
+    if (!selected.has(key)) selected.set(key, new Set());
+    selected.get(key).add(facet.slice(cut + 1));
+  }
+  const sortCol = params.get("sort");
+  return {
+    store: params.get("store") || "",
+    path: normalizePath(params.get("path") || "/"),
+    var: params.get("var"),
+    naming: params.get("naming"),
+    pivot: {
+      rows: params.getAll("row"),
+      cols: params.getAll("col"),
+      agg: PIVOT_AGGREGATIONS[params.get("agg")] ? params.get("agg") : "count",
+      sort: sortCol ? { col: sortCol, dir: params.get("dir") === "asc" ? 1 : -1 } : null,
+    },
+    facets: { path: selected.size ? normalizePath(params.get("facets") || "/") : null, selected },
+  };
+}
+
+// Write the current state to the hash; only remote stores can be reopened from a link
+function updateUrl({ push = false } = {}) {
+  if (state.store?.kind !== "http") return;
+  const hash = encodeUrlState();
+  if (location.hash.slice(1) === hash) return;
+  if (push) history.pushState(null, "", `#${hash}`);
+  else history.replaceState(null, "", `#${hash}`);
+}
+
+function restoreView(url) {
+  const { pathMap } = state.tree;
+  const node = pathMap.get(url.path);
+  const varNode = url.var ? pathMap.get(normalizePath(url.var)) : null;
+  state.activePath = node ? node.path : "/";
+  // A variable page is its own highlighted variable (encodeUrlState leaves `var` out then)
+  const highlighted = varNode ?? node;
+  state.highlightVarPath = highlighted?.type === "array" ? highlighted.path : null;
+  state.pivot = url.pivot;
+  state.facets = url.facets;
+  closeCompare();
+  renderActive();
+}
+
+// Store load started by applyUrlState; later calls wait for it instead of restoring onto the previous tree
+let urlStateLoad = null;
+
+// Open what the hash describes: on first load, Back/Forward and links pasted into the address bar
+async function applyUrlState() {
+  const raw = location.hash.slice(1);
+  const url = parseUrlState(raw);
+  if (!url?.store) return;
+  if (urlStateLoad) {
+    await urlStateLoad;
+    if (location.hash.slice(1) !== raw) return; // superseded by a newer entry while waiting
+  }
+  if (state.tree && url.store === state.baseUrl && raw === encodeUrlState()) return; // already shown
+  const namingInput = $("#namingSpec");
+  if (namingInput && url.naming != null) namingInput.value = url.naming;
+  if (url.store !== state.baseUrl || !state.tree) {
+    const input = $("#zarrUrl");
+    if (input) input.value = url.store;
+    urlStateLoad = loadStore(url.store, { push: false });
+    try { await urlStateLoad; } finally { urlStateLoad = null; }
+    if (state.baseUrl !== url.store) return; // the load failed
+    if (location.hash.slice(1) !== raw) return; // a newer entry is current; its own call restores it
+  }
+  restoreView(url);
+  updateUrl(); // rewrites legacy links in the current format
+}
+
+// --- Command palette ---
+// Ctrl/Cmd+K opens a fuzzy finder over every group and variable path plus the app's actions.
+// Paths visited recently are listed first.
+
+const PALETTE_MAX_RESULTS = 50;
+const RECENT_PATHS_MAX = 10;
+
+// `needsTree` actions are hidden until a store is open
+const PALETTE_ACTIONS = [
+  { title: "Copy URI", needsTree: true, run: copyUri },
+  { title: "Copy Python snippet", needsTree: true, run: copyPythonSnippet },
+  { title: "Apply naming scheme", needsTree: true, run: onApplyNamingSpec },
+  { title: "Open visualizer", needsTree: true, run: openVisualizer },
+  { title: "Toggle sidebar", run: () => document.body.classList.toggle("sidebar-hidden") },
+  { title: "Toggle arrays in sidebar", run: () => setSidebarArrays(!state.sidebar.showArrays) },
+  { title: "Toggle storage settings", run: () => toggleDetails("storageDetails") },
+  { title: "Toggle compare", run: () => toggleDetails("compareDetails") },
+  { title: "Toggle Python code", run: () => toggleDetails("pyDetails") },
+  { title: "Focus search", run: () => $("#searchInput")?.focus() },
+];
+
+function toggleDetails(id) {
+  const el = document.getElementById(id);
+  if (el) el.open = !el.open;
+}
+
+function rememberPath(path) {
+  state.recent = [path, ...state.recent.filter((p) => p !== path)].slice(0, RECENT_PATHS_MAX);
+}
+
+// Subsequence match of a lower-case `query` in `text`. Consecutive characters and characters
+// starting a segment ("/", "_", "-", ".") score extra; null when some character is missing.
+function fuzzyMatch(query, text) {
+  const lc = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of query) {
+    const i = lc.indexOf(ch, from);
+    if (i < 0) return null;
+    score += 1;
+    if (i === from && positions.length) score += 5;
+    if (i === 0 || "/_-. ".includes(lc[i - 1])) score += 8;
+    positions.push(i);
+    from = i + 1;
+  }
+  return { score: score - lc.length / 100, positions };
+}
+
+// Escape `text` and wrap the characters at `positions` in <mark>
+function markPositions(text, positions) {
+  const at = new Set(positions);
+  return Array.from(text, (ch, i) => (at.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch))).join("");
+}
+
+/** Palette item shape
+ * { kind: "path" | "action", label: string, positions: number[], score: number,
+ *   recent: number, // index in state.recent, -1 when not recent
+ *   node?: Node, action?: { title, run } }
+ */
+function paletteItems(text) {
+  const query = String(text).toLowerCase().replace(/\s+/g, "");
+  const items = [];
+  for (const action of PALETTE_ACTIONS) {
+    if (action.needsTree && !state.tree) continue;
+    const m = query ? fuzzyMatch(query, action.title) : { score: 0, positions: [] };
+    if (m) items.push({ kind: "action", label: action.title, action, recent: -1, ...m });
   }
-  return false;
+  if (state.tree) {
+    const candidates = query ? state.tree.pathMap.values() : state.recent.map((p) => state.tree.pathMap.get(p)).filter(Boolean);
+    for (const node of candidates) {
+      const m = query ? fuzzyMatch(query, node.path) : { score: 0, positions: [] };
+      if (!m) continue;
+      // A match inside the node's own name counts twice
+      const name = fuzzyMatch(query, basename(node.path) || "/");
+      items.push({ kind: "path", label: node.path, node, recent: state.recent.indexOf(node.path), ...m, score: m.score + (name?.score || 0) });
+    }
+  }
+  // Recent paths first (most recent on top), then by score; the sort is stable, so ties keep the action order
+  const rank = (item) => (item.recent >= 0 ? 0 : 1);
+  items.sort((a, b) => rank(a) - rank(b) || a.recent - b.recent || b.score - a.score);
+  return items;
 }
 
-// Convert zarr dtype tokens like "<f4" to human names like "float32"
-function prettyDtype(dtype) {
-  if (!dtype) return "";
-  const s = String(dtype);
-  if (s === 'bool' || s === '|b1') return 'bool';
-  const core = s.replace(/[<>=|]/g, ''); // strip endianness
-  const m = core.match(/^([fiu])?(\d+)$/);
-  if (!m) return core;
-  const kind = m[1] || '';
-  const n = parseInt(m[2], 10);
-  if (kind === 'f') return `float${n*8}`;
-  if (kind === 'i') return `int${n*8}`;
-  if (kind === 'u') return `uint${n*8}`;
-  // Some encodings directly give bytes; assume integer
-  if (!isNaN(n)) return `${n<=2?`int${n*8}`: n<=8?`int${n*8}`:`${core}`}`;
-  return core;
+function renderPaletteResults() {
+  const list = $("#paletteList");
+  if (!list) return;
+  const items = paletteItems($("#paletteInput").value);
+  state.paletteItems = items.slice(0, PALETTE_MAX_RESULTS);
+  list.innerHTML = state.paletteItems.map((item, i) => {
+    const badge = item.kind === "action" ? "run" : item.node.type === "array" ? "var" : "grp";
+    const recent = item.recent >= 0 ? `<span class="small palette-recent">recent</span>` : "";
+    return `<li class="palette-item${i === 0 ? " selected" : ""}" role="option" data-index="${i}">
+      <span class="badge">${badge}</span> ${markPositions(item.label, item.positions)}${recent}
+    </li>`;
+  }).join("") || `<li class="small">No matches.</li>`;
 }
 
-function valueKey(v) {
-  return v == null ? '__NULL__' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+function openPalette() {
+  const host = $("#palette");
+  if (!host) return;
+  host.hidden = false;
+  const input = $("#paletteInput");
+  input.value = "";
+  renderPaletteResults();
+  input.focus();
 }
 
-function valueLabel(v) {
-  if (v == null) return 'null';
-  if (typeof v === 'object') return JSON.stringify(v);
-  return String(v);
+function closePalette() {
+  const host = $("#palette");
+  if (host) host.hidden = true;
 }
 
-function bindAggPivot(children) {
-  const rowSel = document.getElementById('rowAttrSel');
-  const colSel = document.getElementById('colAttrSel');
-  const host = document.getElementById('pivotHost');
-  if (!rowSel || !colSel || !host) return;
-  const render = () => {
-    const rowAttr = rowSel.value || '';
-    const colAttr = colSel.value || '';
-    host.innerHTML = renderPivotTable(children, rowAttr, colAttr);
-    queueMicrotask(() => bindNavLinks());
-  };
-  rowSel.addEventListener('change', render);
-  colSel.addEventListener('change', render);
-  render();
+function runPaletteItem(index) {
+  const item = state.paletteItems?.[index];
+  if (!item) return;
+  closePalette();
+  if (item.kind === "action") item.action.run();
+  else setActive(item.node.path);
 }
 
-function renderPivotTable(children, rowAttr, colAttr) {
-  // Collect unique row/col values
-  const rowValsSet = new Set();
-  const colValsSet = new Set();
-  const grid = new Map(); // rowKey -> Map(colKey -> nodes[])
-  for (const n of children) {
-    const a = n.attrs || {};
-    const rv = rowAttr ? a[rowAttr] : '(all)';
-    const cv = colAttr ? a[colAttr] : '(all)';
-    const rk = valueKey(rv);
-    const ck = valueKey(cv);
-    rowValsSet.add(rk);
-    colValsSet.add(ck);
-    if (!grid.has(rk)) grid.set(rk, new Map());
-    const rowMap = grid.get(rk);
-    if (!rowMap.has(ck)) rowMap.set(ck, []);
-    rowMap.get(ck).push(n);
-  }
-  const rowKeys = Array.from(rowValsSet);
-  const colKeys = Array.from(colValsSet);
-  rowKeys.sort();
-  colKeys.sort();
-  const headCols = colKeys.map(ck => `<th>${escapeHtml(ck === '__NULL__' ? 'null' : ck)}</th>`).join('');
-  let bodyRows = '';
-  for (const rk of rowKeys) {
-    const cells = colKeys.map(ck => {
-      const nodes = grid.get(rk)?.get(ck) || [];
-      if (!nodes.length) return '<td></td>';
-      const list = nodes.map(n => {
-        const label = escapeHtml(basename(n.path));
-        return `<div><span class="badge">group</span> <a href="#" data-path="${escapeHtml(n.path)}" class="navlink">${label}</a></div>`;
-      }).join('');
-      return `<td><details><summary>${nodes.length} group(s)</summary><div class="codeblock small">${list}</div></details></td>`;
-    }).join('');
-    bodyRows += `<tr><th class="rowhead">${escapeHtml(rk === '__NULL__' ? 'null' : rk)}</th>${cells}</tr>`;
+function onPaletteKeydown(e) {
+  e.stopPropagation(); // keep arrow keys away from hierarchy navigation
+  const items = Array.from($("#paletteList").querySelectorAll(".palette-item"));
+  const current = items.findIndex((li) => li.classList.contains("selected"));
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!items.length) return;
+    const next = (current + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+    items[current]?.classList.remove("selected");
+    items[next].classList.add("selected");
+    items[next].scrollIntoView?.({ block: "nearest" });
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteItem(current);
+  } else if (e.key === "Escape") {
+    closePalette();
   }
-  return `
-    <div class="pivot-wrap">
-      <table class="pivot-table">
-        <thead>
-          <tr><th></th>${headCols}</tr>
-        </thead>
-        <tbody>
-          ${bodyRows}
-        </tbody>
-      </table>
-    </div>
-  `;
 }
 
-function hasMultipleSubgroups(tree, grpNode) {
-  const groupChildren = grpNode.children
-    .map((name) => tree.pathMap.get(join(grpNode.path, name)))
-    .filter((n) => n && n.type === "group");
-  return groupChildren.length > 1;
+function initPalette() {
+  const host = $("#palette");
+  if (!host) return;
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (host.hidden) openPalette();
+      else closePalette();
+    }
+  });
+  $("#paletteInput").addEventListener("input", renderPaletteResults);
+  $("#paletteInput").addEventListener("keydown", onPaletteKeydown);
+  host.addEventListener("mousedown", (e) => { if (e.target === host) closePalette(); }); // backdrop
+  $("#paletteList").addEventListener("click", (e) => {
+    const li = e.target.closest(".palette-item");
+    if (li) runPaletteItem(Number(li.dataset.index));
+  });
 }
 
-function breadcrumb(path) {
-  const parts = path.split("/").filter(Boolean);
-  const acc = ["/"];
-  let cur = "";
-  for (const p of parts) {
-    cur = cur ? `${cur}/${p}` : `/${p}`;
-    acc.push(cur);
+// --- Sidebar tree ---
+// Only the rows in (and just around) the viewport are in the DOM. Rows are flattened from the
+// expanded groups, so collapsed subtrees are never visited; one delegated listener serves all rows.
+
+const TREE_ROW_HEIGHT = 24; // px, matches .tree-row in styles.css
+const TREE_OVERSCAN = 10; // rows rendered above and below the viewport
+const SIDEBAR_ARRAYS_KEY = "dtb.sidebarArrays";
+
+function resetSidebar() {
+  const sb = state.sidebar;
+  sb.expanded = new Set(["/"]);
+  sb.revealed = null;
+  sb.rows = [];
+  const el = sidebarEl();
+  if (el) el.scrollTop = 0;
+}
+
+// Groups (facet-filtered unless they hold the active path), then arrays when they are shown
+function sidebarChildren(tree, node) {
+  const kids = node.children.map((name) => tree.pathMap.get(join(node.path, name))).filter(Boolean);
+  const groups = kids.filter((child) => child.type === "group");
+  const shown = new Set(filterByFacets(node.path, groups));
+  const out = groups.filter((child) => shown.has(child) || isSubtreeOpen(child.path, state.activePath));
+  if (state.sidebar.showArrays) out.push(...kids.filter((child) => child.type === "array"));
+  return out;
+}
+
+function sidebarHasChildren(tree, node) {
+  if (node.type !== "group") return false;
+  if (state.sidebar.showArrays) return node.children.length > 0;
+  return node.children.some((name) => tree.pathMap.get(join(node.path, name))?.type === "group");
+}
+
+/** Sidebar row shape
+ * { node: Node, depth: number, expandable: boolean, expanded: boolean }
+ */
+function sidebarRows(tree) {
+  const { expanded } = state.sidebar;
+  const rows = [];
+  const stack = [{ node: tree.root, depth: 0 }];
+  while (stack.length) {
+    const { node, depth } = stack.pop();
+    const expandable = sidebarHasChildren(tree, node);
+    const open = expandable && expanded.has(node.path);
+    rows.push({ node, depth, expandable, expanded: open });
+    if (!open) continue;
+    const kids = sidebarChildren(tree, node);
+    for (let i = kids.length - 1; i >= 0; i--) stack.push({ node: kids[i], depth: depth + 1 });
   }
-  return acc;
+  return rows;
 }
 
-function escapeHtml(v) {
-  return String(v)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
+// Expand the ancestors of a newly active group once; collapsing one afterwards sticks
+function revealActivePath() {
+  const sb = state.sidebar;
+  if (sb.revealed === state.activePath) return false;
+  sb.revealed = state.activePath;
+  for (const p of breadcrumb(state.activePath)) sb.expanded.add(p);
+  return true;
 }
 
-function setActive(path) {
-  // Prevent setting arrays as active; keep only groups active
-  const node = state.tree?.pathMap.get(path);
-  const targetPath = node && node.type === "group" ? path : dirname(path);
-  state.activePath = targetPath;
-  state.highlightVarPath = node && node.type === "array" ? node.path : null;
-  renderActive();
-  // Update hash to include active subgroup
-  if (state.baseUrl) {
-    const hash = `${encodeURI(state.baseUrl)}|${encodeURI(state.activePath)}`;
-    if (location.hash.slice(1) !== hash) location.hash = hash;
+function renderSidebar() {
+  const el = sidebarEl();
+  if (!el) return;
+  if (!state.tree) {
+    el.innerHTML = `<div class="sidebar__placeholder small">Load a store to view the hierarchy</div>`;
+    return;
+  }
+  const revealed = revealActivePath();
+  const sb = state.sidebar;
+  sb.rows = sidebarRows(state.tree);
+  if (!el.querySelector(".tree-spacer")) {
+    el.innerHTML = `<label class="tree-toolbar small"><input type="checkbox" class="tree-show-arrays"> Show arrays</label>
+      <div class="tree" role="tree"><div class="tree-spacer"></div></div>`;
   }
+  el.querySelector(".tree-show-arrays").checked = sb.showArrays;
+  const spacer = el.querySelector(".tree-spacer");
+  spacer.style.height = `${sb.rows.length * TREE_ROW_HEIGHT}px`;
+  if (revealed) scrollSidebarToActive(el, spacer);
+  drawSidebarRows();
 }
 
-function handleKeydown(ev) {
-  if (!state.tree) return;
-  const { key } = ev;
-  if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(key)) ev.preventDefault();
+// Without array rows, a variable page marks its group
+function sidebarActiveRowPath() {
+  const { activePath, highlightVarPath } = state;
+  if (state.sidebar.showArrays) return highlightVarPath || activePath;
+  return state.tree?.pathMap.get(activePath)?.type === "array" ? dirname(activePath) : activePath;
+}
 
-  if (key === "ArrowUp") {
-    const parent = dirname(state.activePath);
-    if (parent && parent !== state.activePath) setActive(parent);
-  } else if (key === "ArrowDown") {
-    const child = firstChildOf(state.tree, state.activePath);
-    if (child) setActive(child);
-  } else if (key === "ArrowLeft" || key === "ArrowRight") {
-    const { parent, list, index } = siblingsOf(state.tree, state.activePath);
-    if (!list.length) return;
-    if (index < 0) return; // current not a group sibling (e.g., root) -> no-op
-    const delta = key === "ArrowLeft" ? -1 : 1;
-    const nextIdx = (index + delta + list.length) % list.length;
-    const nextPath = join(parent, list[nextIdx]);
-    setActive(nextPath);
+// Scroll only when the active row is outside the viewport, so clicking a row keeps the position
+function scrollSidebarToActive(el, spacer) {
+  const index = state.sidebar.rows.findIndex((r) => r.node.path === sidebarActiveRowPath());
+  if (index < 0) return;
+  const top = spacer.offsetTop + index * TREE_ROW_HEIGHT;
+  const height = el.clientHeight || window.innerHeight;
+  if (top < el.scrollTop || top + TREE_ROW_HEIGHT > el.scrollTop + height) {
+    el.scrollTop = Math.max(0, top - Math.floor(height / 2));
   }
 }
 
-async function onLoadClick() {
-  const input = $("#zarrUrl");
-  const entered = (input.value || "").trim();
-  const baseUrl = deriveBaseFromUrl(entered);
-  if (!baseUrl) {
-    setStatus("Please enter a Zarr store base URL.");
-    input.focus();
-    return;
+function drawSidebarRows() {
+  const el = sidebarEl();
+  const spacer = el?.querySelector(".tree-spacer");
+  if (!spacer || !state.tree) return;
+  const { rows } = state.sidebar;
+  const height = el.clientHeight || window.innerHeight;
+  const offset = el.scrollTop - spacer.offsetTop;
+  const first = Math.max(0, Math.floor(offset / TREE_ROW_HEIGHT) - TREE_OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((offset + height) / TREE_ROW_HEIGHT) + TREE_OVERSCAN);
+  const activePath = sidebarActiveRowPath();
+  spacer.innerHTML = rows.slice(first, last).map((row, i) => renderSidebarRow(row, first + i, activePath)).join("");
+}
+
+function renderSidebarRow(row, index, activePath) {
+  const { node, depth } = row;
+  const label = node.path === "/" ? "/" : basename(node.path);
+  const twisty = row.expandable
+    ? `<button type="button" class="tree-twisty" data-toggle="${escapeHtml(node.path)}" aria-label="${row.expanded ? "Collapse" : "Expand"}">${row.expanded ? "▾" : "▸"}</button>`
+    : `<span class="tree-twisty"></span>`;
+  let content;
+  if (node.type === "array") {
+    const model = node.array || normalizeArrayMeta(node.zarray, node.attrs);
+    const shape = model.shape.length ? model.shape.join(" × ") : "scalar";
+    content = `<span class="badge">arr</span>${escapeHtml(label)}<span class="tree-meta">${escapeHtml(model.dtype)} · ${escapeHtml(shape)}</span>`;
+  } else {
+    content = `<span class="badge">grp</span>${escapeHtml(label)}${renderIssueBadge(state.tree, node.path)}`;
   }
-  await loadStore(baseUrl);
+  return `<div class="tree-row" role="treeitem" aria-level="${depth + 1}"${row.expandable ? ` aria-expanded="${row.expanded}"` : ""} style="top:${index * TREE_ROW_HEIGHT}px;padding-left:${depth * 14}px">
+    ${twisty}<a href="#"${node.path === activePath ? ' class="active"' : ""} data-path="${escapeHtml(node.path)}" title="${escapeHtml(node.path)}">${content}</a>
+  </div>`;
 }
 
-async function loadStore(baseUrl) {
-  try {
-    slideEl().focus();
-    setStatus("Loading...");
-    state.baseUrl = normalizeBase(baseUrl);
-    // Try Zarr v3 first (zarr.json). On failure, fall back to v2 consolidated (.zmetadata)
-    let tree = null;
-    try {
-      const v3 = await loadZarrV3(state.baseUrl);
-      console.info('[zarr] v3 detected at', state.baseUrl, v3?.zarr);
-      tree = buildTreeFromV3(v3);
-      console.info('[zarr] v3 tree built successfully');
-      setStatus('Loaded Zarr v3 (zarr.json).');
-    } catch (e) {
-      console.warn('[zarr] v3 load failed, falling back to v2 (.zmetadata). Reason:', e?.message || e);
-      const { consolidated } = await loadZmetadata(state.baseUrl);
-      console.info('[zarr] v2 consolidated loaded');
-      tree = buildTree(consolidated);
-      console.info('[zarr] v2 tree built successfully');
-      setStatus('Loaded Zarr v2 (.zmetadata).');
-    }
-    state.tree = tree;
-    state.activePath = "/";
-    // Apply naming spec (if any) to root subgroups before rendering, so aggregated attrs include them
-    applyNamingSpecIfAny('/');
-    renderActive();
-    // Update hash for deep-linking (store | path)
-    const hash = `${encodeURI(state.baseUrl)}|${encodeURI(state.activePath)}`;
-    if (location.hash.slice(1) !== hash) location.hash = hash;
-  } catch (err) {
-    console.error('[zarr] loadStore error:', err);
-    slideEl().innerHTML = `<div class="error">${escapeHtml(err.message || String(err))}</div>`;
-    setStatus("Error.");
+function onSidebarClick(e) {
+  const toggle = e.target.closest("[data-toggle]");
+  if (toggle) {
+    const { expanded } = state.sidebar;
+    const p = toggle.dataset.toggle;
+    if (expanded.has(p)) expanded.delete(p);
+    else expanded.add(p);
+    renderSidebar();
+    return;
   }
+  const a = e.target.closest("a[data-path]");
+  if (!a) return;
+  e.preventDefault();
+  setActive(a.dataset.path);
+}
+
+function setSidebarArrays(show) {
+  state.sidebar.showArrays = show;
+  try { localStorage.setItem(SIDEBAR_ARRAYS_KEY, show ? "1" : ""); } catch { /* ignore */ }
+  renderSidebar();
+}
+
+function onSidebarChange(e) {
+  if (e.target.matches(".tree-show-arrays")) setSidebarArrays(e.target.checked);
+}
+
+function initSidebar() {
+  const el = sidebarEl();
+  if (!el) return;
+  try { state.sidebar.showArrays = localStorage.getItem(SIDEBAR_ARRAYS_KEY) === "1"; } catch { /* ignore */ }
+  el.addEventListener("click", onSidebarClick);
+  el.addEventListener("change", onSidebarChange);
+  let frame = 0;
+  el.addEventListener("scroll", () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => { frame = 0; drawSidebarRows(); });
+  }, { passive: true });
+}
+
+async function copyUri() {
+  const uri = humanReadableUri();
+  try { await navigator.clipboard.writeText(uri); setStatus('URI copied to clipboard.'); }
+  catch { setStatus('Failed to copy URI.'); }
+}
+
+async function copyPythonSnippet() {
+  const code = buildPythonSnippet();
+  try { await navigator.clipboard.writeText(code); setStatus('Python snippet copied to clipboard.'); }
+  catch { setStatus('Failed to copy Python snippet.'); }
+}
+
+function openVisualizer() {
+  const uri = humanReadableUri();
+  const url = `https://gridlook.pages.dev/#${encodeURI(uri)}`;
+  window.open(url, '_blank', 'noopener');
 }
 
 function init() {
+  state.storage = loadStorageSettings();
+  const storageForm = $("#storageForm");
+  if (storageForm) {
+    fillStorageForm(storageForm, state.storage);
+    storageForm.addEventListener("submit", onStorageFormSubmit);
+    // Arrow keys move the caret in the fields instead of navigating the hierarchy
+    storageForm.addEventListener("keydown", (e) => e.stopPropagation());
+  }
   $("#loadBtn").addEventListener("click", onLoadClick);
   $("#zarrUrl").addEventListener("keydown", (e) => { if (e.key === "Enter") onLoadClick(); });
+  // Local stores: folder picker, zip picker, drag-and-drop anywhere on the page
+  $("#openDirBtn")?.addEventListener("click", onOpenDirClick);
+  $("#openZipBtn")?.addEventListener("click", () => $("#zipInput").click());
+  $("#dirInput")?.addEventListener("change", onDirInputChange);
+  $("#zipInput")?.addEventListener("change", onZipInputChange);
+  document.addEventListener("dragover", (e) => {
+    if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+    e.preventDefault();
+    document.body.classList.add("dropping");
+  });
+  document.addEventListener("dragleave", (e) => { if (!e.relatedTarget) document.body.classList.remove("dropping"); });
+  document.addEventListener("drop", onDrop);
   // Header controls
-  const copyUriBtn = document.getElementById('copyUriBtn');
-  if (copyUriBtn) {
-    copyUriBtn.addEventListener('click', async () => {
-      const uri = humanReadableUri();
-      try { await navigator.clipboard.writeText(uri); setStatus('URI copied to clipboard.'); }
-      catch { setStatus('Failed to copy URI.'); }
-    });
-  }
-  const copyPyBtn = document.getElementById('copyPyBtn');
-  if (copyPyBtn) {
-    copyPyBtn.addEventListener('click', async () => {
-      const code = buildPythonSnippet();
-      try { await navigator.clipboard.writeText(code); setStatus('Python snippet copied to clipboard.'); }
-      catch { setStatus('Failed to copy Python snippet.'); }
-    });
-  }
-  const visualizeBtn = document.getElementById('visualizeBtn');
-  if (visualizeBtn) {
-    visualizeBtn.addEventListener('click', () => {
-      const uri = humanReadableUri();
-      const url = `https://gridlook.pages.dev/#${encodeURI(uri)}`;
-      window.open(url, '_blank', 'noopener');
-    });
-  }
+  document.getElementById('copyUriBtn')?.addEventListener('click', copyUri);
+  document.getElementById('copyPyBtn')?.addEventListener('click', copyPythonSnippet);
+  document.getElementById('visualizeBtn')?.addEventListener('click', openVisualizer);
   const applyNamingBtn = document.getElementById('applyNamingBtn');
   if (applyNamingBtn) {
     applyNamingBtn.addEventListener('click', onApplyNamingSpec);
   }
-  document.addEventListener("keydown", handleKeydown);
-  // Auto-load from hash if present: format is <store>|<path>
-  const initial = location.hash ? location.hash.slice(1) : "";
-  if (initial) {
-    const [storeEnc, pathEnc] = initial.split("|");
-    const store = storeEnc ? decodeURI(storeEnc) : "";
-    const path = pathEnc ? decodeURI(pathEnc) : "/";
-    if (store) {
-      const input = $("#zarrUrl");
-      if (input) input.value = store;
-      loadStore(store).then(() => {
-        if (path) { state.activePath = normalizePath(path); renderActive(); }
-      });
-    }
+  initSearch();
+  initSidebar();
+  initPalette();
+  $("main.stage")?.addEventListener("click", onNavLinkClick);
+  const compareForm = $("#compareForm");
+  if (compareForm) {
+    compareForm.addEventListener("submit", onCompareFormSubmit);
+    compareForm.addEventListener("keydown", (e) => e.stopPropagation()); // arrow keys stay in the fields
   }
-  // React to hash changes (e.g., user pastes a different store or subgroup)
-  window.addEventListener("hashchange", () => {
-    const raw = location.hash ? location.hash.slice(1) : "";
-    if (!raw) return;
-    const [storeEnc, pathEnc] = raw.split("|");
-    const store = storeEnc ? decodeURI(storeEnc) : "";
-    const path = pathEnc ? decodeURI(pathEnc) : "/";
-    if (store && store !== state.baseUrl) {
-      const input = $("#zarrUrl");
-      if (input) input.value = store;
-      loadStore(store).then(() => {
-        if (path) { state.activePath = normalizePath(path); renderActive(); }
-      });
-    } else if (path && state.tree) {
-      state.activePath = normalizePath(path);
-      renderActive();
-    }
-  });
+  document.addEventListener("keydown", handleKeydown);
+  // Auto-load from the hash, then follow Back/Forward and links pasted into the address bar
+  if (location.hash) applyUrlState();
+  // popstate also fires for hash edits, so hashchange is not needed (it would apply the state twice)
+  window.addEventListener("popstate", applyUrlState);
   renderActive();
 }
 
 init();
 
-function renderSidebar() {
-  const el = sidebarEl();
-  if (!el) return;
-  if (!state.tree) {
-    el.innerHTML = `<div class="sidebar__placeholder small">Load a store to view the hierarchy</div>`;
-    return;
-  }
-  const html = `<ul class="tree">${renderTreeNode(state.tree, "/")}</ul>`;
-  el.innerHTML = html;
-  // Bind clicks
-  el.querySelectorAll("a[data-path]").forEach((a) => {
-    a.addEventListener("click", (e) => {
-      e.preventDefault();
-      const p = a.getAttribute("data-path");
-      if (!p) return;
-      setActive(p);
-    });
-  });
-  // Mark active
-  const active = el.querySelector(`a[data-path="${CSS.escape(state.activePath)}"]`);
-  if (active) active.classList.add("active");
-}
-
-function renderTreeNode(tree, path) {
-  const node = tree.pathMap.get(normalizePath(path));
-  if (!node) return "";
-  const isGroup = node.type === "group";
-  if (!isGroup) return ""; // exclude arrays from sidebar
-  const label = path === "/" ? "/" : basename(path);
-  const hasGroupKids = (node.children || []).some((name) => {
-    const child = tree.pathMap.get(join(node.path, name));
-    return child && child.type === 'group';
-  });
-  let li = `<li>`;
-  if (hasGroupKids) {
-    const open = isSubtreeOpen(node.path, state.activePath);
-    li += `<details ${open ? 'open' : ''}>`;
-    li += `<summary><a href="#" data-path="${escapeHtml(node.path)}"><span class=\"badge\">grp</span>${escapeHtml(label)}</a></summary>`;
-    const kids = node.children.map((name) => {
-      const childPath = join(node.path, name);
-      const child = tree.pathMap.get(childPath);
-      return child && child.type === "group" ? renderTreeNode(tree, childPath) : "";
-    }).join("");
-    if (kids) li += `<ul>${kids}</ul>`;
-    li += `</details>`;
-  } else {
-    li += `<a href="#" data-path="${escapeHtml(node.path)}"><span class=\"badge\">grp</span>${escapeHtml(label)}</a>`;
-  }
-  li += `</li>`;
-  return li;
-}
-
 function isSubtreeOpen(rootPath, activePath) {
   const a = normalizePath(rootPath);
   const b = normalizePath(activePath || '/');
@@ -738,12 +4931,12 @@ function renderGroupLikeXarray(tree, grpNode) {
   for (const arr of arrays) {
     const dims = inferArrayDims(arr);
     dimsByVar.set(arr, dims);
-    sizesByVar.set(arr, Array.isArray(arr.zarray?.shape) ? arr.zarray.shape : []);
+    sizesByVar.set(arr, arr.array?.shape || []);
     attrsByVar.set(arr, arr.attrs || {});
     dims.forEach((d) => allDims.add(d));
     // collect 1D arrays as potential coordinates
     const name = basename(arr.path);
-    const shp = Array.isArray(arr.zarray?.shape) ? arr.zarray.shape : [];
+    const shp = arr.array?.shape || [];
     if (shp.length === 1 && Number.isFinite(shp[0])) {
       coordCandidates.set(name, shp[0]);
     }
@@ -770,8 +4963,17 @@ function renderGroupLikeXarray(tree, grpNode) {
   if (dimSizes.size === 0 && coordCandidates.size > 0) {
     for (const [n, sz] of coordCandidates.entries()) dimSizes.set(n, sz);
   }
+  // Coordinates inherited from ancestor groups size the dims no local variable sizes
+  const inherited = inheritedCoords(tree, grpNode, new Set(arrays.map((arr) => basename(arr.path))));
+  const inheritedDims = new Map(); // dim -> source group path
+  for (const { arr, dim, source } of inherited) {
+    const size = arr.array?.shape?.[0];
+    if (dimSizes.has(dim) || !Number.isFinite(size)) continue;
+    dimSizes.set(dim, size);
+    inheritedDims.set(dim, source);
+  }
 
-  // If variable has no _ARRAY_DIMENSIONS, infer names by matching axis sizes to known coord sizes
+  // If variable has no dimension names, infer names by matching axis sizes to known coord sizes
   for (const arr of arrays) {
     const dims = dimsByVar.get(arr) || [];
     if (!dims.length || dims.every((d) => d.startsWith("dim_"))) {
@@ -781,15 +4983,17 @@ function renderGroupLikeXarray(tree, grpNode) {
       for (const ax of shape) {
         let match = null;
         for (const [dn, sz] of dimSizes.entries()) {
-          if (sz === ax && !used.has(dn)) { match = dn; break; }
+          if (sz === ax && !used.has(dn) && !dn.startsWith("dim_")) { match = dn; break; }
         }
         inferred.push(match || `dim_${inferred.length}`);
         if (match) used.add(match);
       }
       dimsByVar.set(arr, inferred);
-      inferred.forEach((d) => allDims.add(d));
     }
   }
+  // Placeholder dims that were replaced by inferred names no longer apply
+  allDims.clear();
+  for (const dims of dimsByVar.values()) dims.forEach((d) => allDims.add(d));
 
   const coords = [];
   const dataVars = [];
@@ -808,14 +5012,17 @@ function renderGroupLikeXarray(tree, grpNode) {
 
   const sections = [];
   // Dimensions
-  const dimRows = dimList.length ? dimList.map((d) => `<div class="label">${escapeHtml(d)}</div><div class="value">${escapeHtml(dimSizes.get(d) ?? "?")}</div>`).join("") : `<div class="small">(none)</div>`;
+  const dimSource = (d) => inheritedDims.has(d) ? ` <span class="small">from ${escapeHtml(inheritedDims.get(d))}</span>` : "";
+  const dimRows = dimList.length ? dimList.map((d) => `<div class="label">${escapeHtml(d)}</div><div class="value">${escapeHtml(dimSizes.get(d) ?? "?")}${dimSource(d)}</div>`).join("") : `<div class="small">(none)</div>`;
   sections.push(`<div class="section"><h3>Dimensions</h3><div class="meta">${dimRows}</div></div>`);
+  const validation = renderTreeValidation(tree, grpNode);
+  if (validation) sections.push(validation);
 
   // Coordinates (collapsible)
   const coordItems = coords.map(({ name, dims, shape, arr }) => {
-    const dt = prettyDtype(arr?.zarray?.dtype);
+    const dt = arr?.array?.dtype;
     const dtStr = dt ? ` ${escapeHtml(dt)}` : "";
-    return `<div class="varline ${arr.path === state.highlightVarPath ? 'highlight' : ''}"><span class=\"badge\">coord</span> <span class=\"varname\">${escapeHtml(name)}</span> ${formatDimsNames(dims)}${dtStr} ${renderVarAttrsDetails(arr)} ${renderVarChunkDetails(arr)}</div>`;
+    return `<div class="varline ${arr.path === state.highlightVarPath ? 'highlight' : ''}"><span class=\"badge\">coord</span> <a href="#" class="varname navlink" data-path="${escapeHtml(arr.path)}" title="Open the variable page">${escapeHtml(name)}</a> ${formatDimsNames(dims)}${dtStr} ${renderCfBadge(arr)} ${renderCoordSummary(arr)} ${renderVarAttrsDetails(arr)} ${renderVarChunkDetails(arr)} ${renderVarRefsDetails(arr)} ${renderVarPreviewDetails(arr)} ${renderVarPlotDetails(arr)}</div>`;
   }).join("") || `<div class=\"small\">(none)</div>`;
   sections.push(`
     <div class="section">
@@ -826,11 +5033,29 @@ function renderGroupLikeXarray(tree, grpNode) {
     </div>
   `);
 
+  // Inherited coordinates (only for groups below one that defines coordinates)
+  if (inherited.length) {
+    const inheritedItems = inherited.map(({ arr, dim, source }) => {
+      const dt = arr.array?.dtype;
+      const dtStr = dt ? ` ${escapeHtml(dt)}` : "";
+      const from = `<span class="small">from <a href="#" data-path="${escapeHtml(source)}" class="navlink">${escapeHtml(source)}</a></span>`;
+      return `<div class="varline"><span class="badge">coord</span> <span class="varname">${escapeHtml(basename(arr.path))}</span> ${formatDimsNames([dim])}${dtStr} ${from} ${renderCoordSummary(arr)} ${renderVarAttrsDetails(arr)}</div>`;
+    }).join("");
+    sections.push(`
+    <div class="section">
+      <details open>
+        <summary>Inherited coordinates</summary>
+        <div class="codeblock">${inheritedItems}</div>
+      </details>
+    </div>
+  `);
+  }
+
   // Data variables (collapsible)
   const dataItems = dataVars.map(({ name, dims, shape, arr }) => {
-    const dt = prettyDtype(arr?.zarray?.dtype);
+    const dt = arr?.array?.dtype;
     const dtStr = dt ? ` ${escapeHtml(dt)}` : "";
-    return `<div class="varline ${arr.path === state.highlightVarPath ? 'highlight' : ''}"><span class=\"badge\">data</span> <span class=\"varname\">${escapeHtml(name)}</span> ${formatDimsNames(dims)}${dtStr} ${renderVarAttrsDetails(arr)} ${renderVarChunkDetails(arr)}</div>`;
+    return `<div class="varline ${arr.path === state.highlightVarPath ? 'highlight' : ''}"><span class=\"badge\">data</span> <a href="#" class="varname navlink" data-path="${escapeHtml(arr.path)}" title="Open the variable page">${escapeHtml(name)}</a> ${formatDimsNames(dims)}${dtStr} ${renderCfBadge(arr)} ${renderVarAttrsDetails(arr)} ${renderVarChunkDetails(arr)} ${renderVarRefsDetails(arr)} ${renderVarPreviewDetails(arr)} ${renderVarPlotDetails(arr)}</div>`;
   }).join("") || `<div class=\"small\">(none)</div>`;
   sections.push(`
     <div class="section">
@@ -846,10 +5071,20 @@ function renderGroupLikeXarray(tree, grpNode) {
     .map((name) => tree.pathMap.get(join(grpNode.path, name)))
     .filter((n) => n && n.type === "group");
   if (groupChildren.length > 0) {
-    const groupItems = groupChildren.map((g) => `<div><span class="badge">group</span> <a href="#" data-path="${escapeHtml(g.path)}" class="navlink">${escapeHtml(basename(g.path) || "/")}</a></div>`).join("");
-    sections.push(`<div class="section"><h3>Groups</h3><div class="codeblock">${groupItems}</div></div>`);
+    sections.push(`<div class="section"><h3>Groups</h3><div class="codeblock" id="groupsList">${renderGroupItems(grpNode, groupChildren)}</div></div>`);
   }
 
+  // CF conventions findings of this group's arrays (the report can switch to the whole store)
+  const cfCounts = CF_SEVERITIES.map((sev) => `${cfFindings(tree, grpNode.path).filter((f) => f.severity === sev).length} ${sev}`).join(", ");
+  sections.push(`
+    <div class="section">
+      <details>
+        <summary>CF conventions: ${escapeHtml(cfCounts)}</summary>
+        ${renderCfReport(tree, grpNode)}
+      </details>
+    </div>
+  `);
+
   // Attributes (collapsible; show even if none) rendered as key=value lines
   const attrsBlock = grpNode.attrs && Object.keys(grpNode.attrs).length
     ? renderKeyValueMeta(grpNode.attrs)
@@ -864,10 +5099,36 @@ function renderGroupLikeXarray(tree, grpNode) {
   `);
 
   const html = sections.join("");
-  queueMicrotask(() => bindNavLinks());
+  queueMicrotask(() => { bindRefsDetails(); bindPreviewDetails(); bindPlotDetails(); bindStats(); bindAudit(); bindChunkViz(); bindCoordSummaries(); bindCfReport(); });
   return html;
 }
 
+// Coordinates of the ancestors that the group does not define itself; the closest ancestor wins, as in
+// xarray's DataTree coordinate inheritance. A coordinate is a 1D array named after its dimension or listed
+// in a `coordinates` attribute of the ancestor or its variables.
+function inheritedCoords(tree, grpNode, localNames) {
+  const found = new Map(); // name -> { arr, dim, source }
+  let path = grpNode.path;
+  while (path !== "/") {
+    path = dirname(path);
+    const ancestor = tree.pathMap.get(path);
+    if (!ancestor) continue;
+    const arrays = collectArrays(tree, ancestor, 0, 0);
+    const listed = new Set();
+    for (const node of [ancestor, ...arrays]) {
+      String(node.attrs?.coordinates ?? "").split(/\s+/).filter(Boolean).forEach((ref) => listed.add(ref));
+    }
+    for (const arr of arrays) {
+      const name = basename(arr.path);
+      if ((arr.array?.shape || []).length !== 1 || localNames.has(name) || found.has(name)) continue;
+      const [dim] = inferArrayDims(arr);
+      if (dim !== name && !listed.has(name)) continue;
+      found.set(name, { arr, dim: dim && !dim.startsWith("dim_") ? dim : name, source: path });
+    }
+  }
+  return Array.from(found.values());
+}
+
 function collectArrays(tree, grpNode, depth = 0, maxDepth = 1) {
   const found = [];
   // arrays directly under this group
@@ -885,10 +5146,10 @@ function collectArrays(tree, grpNode, depth = 0, maxDepth = 1) {
 }
 
 function inferArrayDims(arr) {
-  const attrs = arr.attrs || {};
-  const dimsAttr = attrs["_ARRAY_DIMENSIONS"]; // common with xarray zarr
-  if (Array.isArray(dimsAttr) && dimsAttr.every((d) => typeof d === "string")) return dimsAttr;
-  const rank = Array.isArray(arr.zarray?.shape) ? arr.zarray.shape.length : 0;
+  // v3 dimension_names, else v2 _ARRAY_DIMENSIONS (both resolved by normalizeArrayMeta)
+  const named = arr.array?.dimensionNames;
+  if (named) return named;
+  const rank = arr.array?.shape.length || 0;
   const fallback = Array.from({ length: rank }, (_, i) => `dim_${i}`);
   return fallback;
 }
@@ -902,14 +5163,13 @@ function formatDimsNames(dims) {
   return `(${(dims || []).join(", ")})`;
 }
 
-function bindNavLinks() {
-  document.querySelectorAll("a.navlink[data-path]").forEach((a) => {
-    a.addEventListener("click", (e) => {
-      e.preventDefault();
-      const p = a.getAttribute("data-path");
-      if (p) setActive(p);
-    });
-  });
+// Delegated from the stage (bound once in init), so re-rendered views need no per-link listeners
+function onNavLinkClick(e) {
+  const a = e.target.closest?.("a.navlink[data-path]");
+  if (!a) return;
+  e.preventDefault();
+  const p = a.getAttribute("data-path");
+  if (p) setActive(p);
 }
 
 function formatVarAttrsInline(attrs = {}) {
@@ -935,7 +5195,19 @@ function renderVarAttrsDetails(arr) {
 function renderVarChunkDetails(arr) {
   const matrix = renderChunkMatrix(arr);
   if (!matrix) return "";
-  return `<details class="var-chunks"><summary>Chunks</summary>${matrix}</details>`;
+  return `<details class="var-chunks"><summary>Chunks</summary>${matrix}${renderChunkViz(arr)}${renderVarStats(arr)}${renderVarAudit(arr)}${renderArrayEncoding(arr)}</details>`;
+}
+
+// Storage encoding of an array (fill value, key encoding, codec pipeline) from its ArrayModel
+function renderArrayEncoding(arr) {
+  const model = arr.array;
+  if (!model) return "";
+  const rows = [
+    ["fill_value", formatFillValue(model.fillValue)],
+    ["keys", `${model.chunkKeyEncoding.name} ("${model.chunkKeyEncoding.separator}")`],
+    ["codecs", describeCodecChain(model.codecs)],
+  ];
+  return `<div class="meta small">${rows.map(([k, v]) => `<div class="label">${escapeHtml(k)}</div><div class="value">${escapeHtml(v)}</div>`).join("")}</div>`;
 }
 
 function renderKeyValueMeta(obj = {}) {
@@ -949,41 +5221,138 @@ function renderKeyValueMeta(obj = {}) {
   return `<div class="codeblock"><div class="meta small">${rows}</div></div>`;
 }
 
+const CHUNK_GRID_MAX_X = 50;
+const CHUNK_GRID_MAX_Y = 30;
+
+// Interactive chunk grid: two chosen dims as rows/columns, the others as index selectors. Cells are the
+// stored objects (shards for sharded arrays); clicking one shows its storage key and URL.
 function renderChunkViz(arr) {
-  const za = arr.zarray || {};
-  const shape = Array.isArray(za.shape) ? za.shape : [];
-  const chunks = Array.isArray(za.chunks) ? za.chunks : null;
+  const model = arr.array || {};
+  const shape = model.shape || [];
+  const chunks = model.chunks || null;
   if (!shape.length || !chunks || chunks.length !== shape.length) return "";
+  const dims = inferArrayDims(arr);
   const counts = chunkCounts(shape, chunks);
-  // Visualize like Dask: show grid with counts and labels
-  const labelDims = (arr.attrs && Array.isArray(arr.attrs._ARRAY_DIMENSIONS)) ? arr.attrs._ARRAY_DIMENSIONS : shape.map((_, i) => `dim_${i}`);
-  const countsRounded = counts.map((c) => Math.ceil(c));
-  if (counts.length === 1) {
-    const n = countsRounded[0];
-    const cap = Math.min(n, 200);
-    const cells = Array.from({ length: cap }, () => `<div class="chunk-cell" title="1D chunk"></div>`).join("");
-    const more = n > cap ? `<span class="small"> +${n-cap} more</span>` : "";
-    const sizeLbl = `${labelDims[0]}: ${shape[0]} (chunks of ${chunks[0]}) → ${n}`;
-    return `<div class="chunkviz chunkviz-1d"><div class="axis-label">${escapeHtml(sizeLbl)}</div><div class="chunk-row">${cells}</div>${more}</div>`;
-  }
-  if (counts.length === 2) {
-    const [ny, nx] = countsRounded;
-    const [dy, dx] = [labelDims[0], labelDims[1]];
-    const maxX = Math.min(nx, 50);
-    const maxY = Math.min(ny, 30);
-    const topLabel = `${dx}: ${shape[1]} (chunks of ${chunks[1]}) → ${nx}`;
-    const leftLabel = `${dy}: ${shape[0]} (chunks of ${chunks[0]}) → ${ny}`;
-    let rows = "";
-    for (let y = 0; y < maxY; y++) {
-      const rowCells = Array.from({ length: maxX }, () => `<div class="chunk-cell" title="2D chunk"></div>`).join("");
-      rows += `<div class="chunk-row">${rowCells}${nx>maxX?`<span class=\\"small\\"> +${nx-maxX} →</span>`:""}</div>`;
-    }
-    const moreY = ny > maxY ? `<div class="small">+${ny-maxY} rows more ↓</div>` : "";
-    return `<div class="chunkviz chunkviz-2d"><div class="axis-label">${escapeHtml(topLabel)}</div>${rows}<div class="axis-label">${escapeHtml(leftLabel)}</div>${moreY}</div>`;
-  }
-  // Higher dims: show summary only
-  const summary = countsRounded.join("x");
-  return `<span class="small">chunks: ${escapeHtml(summary)}</span>`;
+  const nd = counts.length;
+  const dimOptions = (selected) => dims.map((d, i) => `<option value="${i}" ${i === selected ? "selected" : ""}>${escapeHtml(d)} (${counts[i]})</option>`).join("");
+  const axes = nd >= 2
+    ? `<label>Rows <select class="viz-y">${dimOptions(nd - 2)}</select></label><label>Columns <select class="viz-x">${dimOptions(nd - 1)}</select></label>`
+    : "";
+  const selectors = dims.map((d, i) => `<label class="viz-index" data-dim="${i}"><span class="viz-role"></span> ${escapeHtml(d)} <input type="number" min="0" max="${counts[i] - 1}" value="0" /></label>`).join("");
+  return `<div class="chunkviz" data-viz-path="${escapeHtml(arr.path)}">
+    <div class="plot-controls">${axes}${selectors}</div>
+    <div class="chunkviz-grid"></div>
+    <div class="chunkviz-hover small"></div>
+    <div class="chunkviz-key"></div>
+  </div>`;
+}
+
+function chunkRangeText(model, dims, coords) {
+  return coords.map((c, i) => `${dims[i]}[${c * model.chunks[i]}:${Math.min((c + 1) * model.chunks[i], model.shape[i])}]`).join(" ");
+}
+
+function drawChunkViz(el) {
+  const arr = state.tree?.pathMap.get(el.getAttribute("data-viz-path"));
+  if (!arr) return;
+  const model = arr.array;
+  const dims = inferArrayDims(arr);
+  const counts = chunkCounts(model.shape, model.chunks);
+  const nd = counts.length;
+  let y = nd >= 2 ? Number(el.querySelector(".viz-y").value) : null;
+  let x = nd >= 2 ? Number(el.querySelector(".viz-x").value) : 0;
+  if (x === y) x = (y + 1) % nd;
+  const index = Array.from(el.querySelectorAll(".viz-index input"), (input, i) => Math.min(Math.max(Math.floor(Number(input.value)) || 0, 0), counts[i] - 1));
+  el.querySelectorAll(".viz-index").forEach((label) => {
+    const d = Number(label.dataset.dim);
+    label.querySelector(".viz-role").textContent = d === y ? "rows from" : d === x ? "columns from" : "";
+  });
+  const x0 = index[x];
+  const y0 = y === null ? 0 : index[y];
+  const nx = Math.min(counts[x] - x0, CHUNK_GRID_MAX_X);
+  const ny = y === null ? 1 : Math.min(counts[y] - y0, CHUNK_GRID_MAX_Y);
+  const selected = el.dataset.selected || "";
+  let rows = "";
+  for (let r = 0; r < ny; r++) {
+    let cells = "";
+    for (let c = 0; c < nx; c++) {
+      const coords = index.slice();
+      if (y !== null) coords[y] = y0 + r;
+      coords[x] = x0 + c;
+      const key = coords.join(",");
+      cells += `<button type="button" class="chunk-cell${key === selected ? " selected" : ""}" data-coords="${key}" title="${escapeHtml(chunkRangeText(model, dims, coords))}"></button>`;
+    }
+    rows += `<div class="chunk-row">${cells}</div>`;
+  }
+  const unit = model.sharding ? "shards" : "chunks";
+  const span = (role, d, from, n) => `${role} ${dims[d]}: ${unit} ${from}–${from + n - 1} of ${counts[d]}`;
+  const caption = [y !== null ? span("rows", y, y0, ny) : "", span("columns", x, x0, nx)].filter(Boolean).join(" · ");
+  el.querySelector(".chunkviz-grid").innerHTML = `<div class="axis-label small">${escapeHtml(caption)}</div>${rows}`;
+}
+
+// Where the bytes of a stored object live: the store URL, a local path, or a chunk reference
+async function chunkLocation(arr, key) {
+  const path = `${stripLeadingSlash(arr.path)}/${key}`;
+  const refs = state.tree?.refs;
+  if (refs) {
+    const entries = refs.kind === "json" ? refs.byArray.get(arr.path) || [] : await loadParquetChunkRefs(state.tree, arr);
+    const ref = entries.find((e) => e.key === key)?.ref;
+    if (!ref) return { label: "reference", value: "none (chunk is missing, reads as fill value)" };
+    if (ref.kind === "inline") return { label: "reference", value: `inline (${humanBytes(ref.length)})` };
+    if (ref.kind === "range") return { label: "reference", value: `${ref.url} [offset ${ref.offset}, length ${ref.length}]`, copy: ref.url };
+    return { label: "reference", value: String(ref.url ?? JSON.stringify(ref.data)), copy: ref.url };
+  }
+  if (state.store?.kind === "http") {
+    const url = state.store.keyUrl(path);
+    return { label: "URL", value: url, copy: url };
+  }
+  return { label: "path", value: `${state.store?.label || ""}/${path}`, copy: `${state.store?.label || ""}/${path}` };
+}
+
+async function showChunkKey(el, coords) {
+  const arr = state.tree?.pathMap.get(el.getAttribute("data-viz-path"));
+  if (!arr) return;
+  const model = arr.array;
+  const key = chunkKey(model, coords);
+  const path = `${stripLeadingSlash(arr.path)}/${key}`;
+  const host = el.querySelector(".chunkviz-key");
+  const copyBtn = (text) => `<button type="button" class="viz-copy" data-copy="${escapeHtml(text)}">Copy</button>`;
+  const row = (label, value, copy) => `<div class="label">${escapeHtml(label)}</div><div class="value"><code>${escapeHtml(value)}</code>${copy ? ` ${copyBtn(copy)}` : ""}</div>`;
+  const encoding = model.chunkKeyEncoding.name === "default" ? `v3 default, separator "${model.chunkKeyEncoding.separator}"` : `v2, separator "${model.chunkKeyEncoding.separator}"`;
+  const head = row(model.sharding ? "shard" : "chunk", `(${coords.join(", ")}) ${chunkRangeText(model, inferArrayDims(arr), coords)}`) + row("key", path, path) + row("key encoding", encoding);
+  host.innerHTML = `<div class="meta small">${head}</div>`;
+  try {
+    const loc = await chunkLocation(arr, key);
+    host.innerHTML = `<div class="meta small">${head}${row(loc.label, loc.value, loc.copy)}</div>`;
+  } catch (e) {
+    host.insertAdjacentHTML("beforeend", `<div class="error">${escapeHtml(e.message || String(e))}</div>`);
+  }
+}
+
+function bindChunkViz() {
+  document.querySelectorAll(".chunkviz[data-viz-path]").forEach((el) => {
+    drawChunkViz(el);
+    el.querySelectorAll("select, input").forEach((input) => input.addEventListener("change", () => drawChunkViz(el)));
+    el.querySelectorAll("input").forEach((input) => input.addEventListener("keydown", (e) => e.stopPropagation()));
+    const grid = el.querySelector(".chunkviz-grid");
+    grid.addEventListener("mouseover", (e) => {
+      const cell = e.target.closest(".chunk-cell");
+      if (cell) el.querySelector(".chunkviz-hover").textContent = cell.title;
+    });
+    grid.addEventListener("click", (e) => {
+      const cell = e.target.closest(".chunk-cell");
+      if (!cell) return;
+      el.dataset.selected = cell.dataset.coords;
+      grid.querySelectorAll(".chunk-cell.selected").forEach((c) => c.classList.remove("selected"));
+      cell.classList.add("selected");
+      showChunkKey(el, cell.dataset.coords.split(",").map(Number));
+    });
+    el.querySelector(".chunkviz-key").addEventListener("click", async (e) => {
+      const btn = e.target.closest(".viz-copy");
+      if (!btn) return;
+      try { await navigator.clipboard.writeText(btn.dataset.copy); setStatus('Copied to clipboard.'); }
+      catch { setStatus('Failed to copy.'); }
+    });
+  });
 }
 
 function chunkCounts(shape, chunks) {
@@ -991,15 +5360,15 @@ function chunkCounts(shape, chunks) {
 }
 
 function renderChunkMatrix(arr) {
-  const za = arr.zarray || {};
-  const shape = Array.isArray(za.shape) ? za.shape : [];
-  const chunks = Array.isArray(za.chunks) ? za.chunks : null;
+  const model = arr.array || {};
+  const shape = model.shape || [];
+  const chunks = model.chunks || null;
   if (!shape.length) return "";
-  const item = dtypeItemsize(za.dtype);
-  const totalElems = product(shape);
-  const totalBytes = item * totalElems;
+  if (model.sharding) return renderShardedChunkMatrix(model);
+  const item = model.itemsize || 0;
+  const totalBytes = arrayBytes(model);
   const chunkElems = Array.isArray(chunks) && chunks.length === shape.length ? product(chunks) : null;
-  const chunkBytes = chunkElems != null ? item * chunkElems : null;
+  const chunkBytes = chunkElems != null && item ? item * chunkElems : null;
   const bytesFmt = (n) => n == null ? "?" : humanBytes(n);
   const shapeFmt = (a) => a ? `[${a.join(", ")}]` : "?";
   const arrayShape = shapeFmt(shape);
@@ -1013,18 +5382,54 @@ function renderChunkMatrix(arr) {
   `;
 }
 
+// v3 sharding: a shard is the stored object, holding a grid of independently encoded inner chunks
+function renderShardedChunkMatrix(model) {
+  const { shape, itemsize: item } = model;
+  const shard = Array.isArray(model.chunks) && model.chunks.length === shape.length ? model.chunks : null;
+  const inner = model.sharding.chunkShape.length === shape.length ? model.sharding.chunkShape : null;
+  const bytesFmt = (elems) => elems == null || !item ? "?" : humanBytes(item * elems);
+  const shapeFmt = (a) => a ? `[${a.join(", ")}]` : "?";
+  const countFmt = (n) => n == null ? "?" : n.toLocaleString();
+  const shardCount = shard ? product(chunkCounts(shape, shard)) : null;
+  const perShardShape = shard && inner ? shard.map((s, i) => s / inner[i]) : null;
+  const divisible = perShardShape ? perShardShape.every(Number.isInteger) : true;
+  const perShard = perShardShape && divisible ? product(perShardShape) : null;
+  const innerCount = shardCount != null && perShard != null ? shardCount * perShard : null;
+  const perShardLbl = perShard == null
+    ? (divisible ? "?" : "shard shape not divisible by chunk shape")
+    : `${countFmt(perShard)} (${perShardShape.join(" × ")})`;
+  const index = `index: ${describeCodecChain(model.sharding.indexCodecs)} @ ${model.sharding.indexLocation}`;
+  return `
+    <div class="matrix2x2 matrix-shard">
+      <div></div><div class="head">array</div><div class="head">chunk</div><div class="head">shard</div>
+      <div class="rowhead">bytes</div><div>${bytesFmt(product(shape))}</div><div>${bytesFmt(inner ? product(inner) : null)}</div><div>${bytesFmt(shard ? product(shard) : null)}</div>
+      <div class="rowhead">shape</div><div>${escapeHtml(shapeFmt(shape))}</div><div>${escapeHtml(shapeFmt(inner))}</div><div>${escapeHtml(shapeFmt(shard))}</div>
+      <div class="rowhead">count</div><div></div><div>${countFmt(innerCount)}</div><div>${countFmt(shardCount)}</div>
+      <div class="rowhead">chunks/shard</div><div></div><div></div><div>${escapeHtml(perShardLbl)}</div>
+      <div class="rowhead">codecs</div><div></div><div></div><div>${escapeHtml(describeCodecChain(model.sharding.codecs))}<div class="small">${escapeHtml(index)}</div></div>
+    </div>
+  `;
+}
+
 function product(a) { return Array.isArray(a) ? a.reduce((p, v) => p * (Number.isFinite(v)?v:1), 1) : 0; }
 
 function dtypeItemsize(dtype) {
   if (!dtype) return 0;
-  // Common patterns like "<f4", "<f8", "|u1", "i4", "u2", "f4", "bool"
-  if (dtype === 'bool' || dtype === '|b1') return 1;
-  const m = String(dtype).match(/(\d+)$/);
+  if (typeof dtype === 'object') {
+    // v2 structured dtype: [[name, dtype, shape?], ...]
+    if (Array.isArray(dtype)) return dtype.reduce((sum, f) => sum + dtypeItemsize(f[1]) * (Array.isArray(f[2]) ? product(f[2]) : 1), 0);
+    return /datetime64|timedelta64/.test(String(dtype.name)) ? 8 : 0;
+  }
+  const s = String(dtype);
+  if (s === 'bool' || s === '|b1') return 1;
+  // v3 names carry bits: "float32", "uint8", "complex64", raw "r16"
+  const bits = s.match(/^(?:u?int|float|complex|r)(\d+)$/);
+  if (bits) return parseInt(bits[1], 10) / 8;
+  // v2 tokens carry bytes: "<f4", "|u1", "<M8[ns]", "|S10"; unicode is UTF-32
+  const m = s.match(/^[<>=|]?([a-zA-Z])(\d+)/);
   if (m) {
-    const bytes = parseInt(m[1], 10);
-    // If match is number of bits (like b1?), many dtypes encode bytes directly (1,2,4,8,16)
-    // Heuristic: if value <= 16 assume it's bytes; if >16 treat as bits
-    return bytes > 16 ? Math.ceil(bytes / 8) : bytes;
+    const n = parseInt(m[2], 10);
+    return m[1] === 'U' ? n * 4 : n;
   }
   return 0;
 }
@@ -1038,10 +5443,10 @@ function humanBytes(n) {
 }
 
 // Build the full active URI and decode to human-readable form (no %xx)
-function humanReadableUri() {
+function humanReadableUri(nodePath = state.activePath) {
   if (!state.baseUrl) return "";
   const base = normalizeBase(state.baseUrl);
-  const path = normalizePath(state.activePath || "/");
+  const path = normalizePath(nodePath || "/");
   const full = path === "/" ? base : `${base}${path}`;
   try { return decodeURI(full); } catch { return full; }
 }
@@ -1050,6 +5455,9 @@ function humanReadableUri() {
 function deriveBaseFromUrl(url) {
   if (!url) return "";
   try {
+    // Reference files (Kerchunk JSON, Parquet reference dirs): cut any subgroup path after the file
+    const ref = url.match(/^(.*?\.(?:json|parq|parquet))(?:[/?#].*)?$/i);
+    if (ref && referenceKind(ref[1])) return normalizeBase(ref[1]);
     // v2: if it includes ".zarr", cut to the .zarr folder
     const idx = url.indexOf('.zarr');
     if (idx !== -1) return normalizeBase(url.slice(0, idx + 5));
@@ -1095,6 +5503,7 @@ function applyNamingSpecIfAny(targetPath) {
       if (!node.attrs || typeof node.attrs !== 'object') node.attrs = {};
       for (const [k, v] of Object.entries(attrs)) node.attrs[k] = v;
     }
+    searchIndexes.delete(state.tree); // re-index the new attributes on the next search
     if (parsed.length) setStatus(`Naming scheme applied to ${parsed.length} subgroup(s).`);
   } catch (e) {
     // ignore auto-apply errors
@@ -1118,18 +5527,53 @@ function updateHeaderControls() {
 }
 
 function buildPythonSnippet() {
-  const uri = humanReadableUri();
   const node = state.tree?.pathMap.get(state.activePath);
+  // A variable opens through its group and is then selected by name
+  const isArray = node?.type === 'array';
+  const group = isArray ? dirname(node.path) : normalizePath(state.activePath || '/');
+  const select = isArray ? `[${JSON.stringify(basename(node.path))}]` : '';
+  const uri = humanReadableUri(group);
   const isParent = node && node.type === 'group' && hasMultipleSubgroups(state.tree, node);
+  if (state.tree?.refs) return buildReferenceSnippet(isParent, group) + select;
+  if (state.store?.kind === 'zip') {
+    return `import xarray as xr\n` +
+           `import zarr\n` +
+           `store = zarr.storage.ZipStore(${JSON.stringify(state.store.label)}, mode="r")\n` +
+           `xr.${isParent ? 'open_datatree' : 'open_zarr'}(store${isParent ? ', engine="zarr"' : ''}${group !== '/' ? `, group=${JSON.stringify(group)}` : ''})${select}`;
+  }
+  const { uri: target, options } = state.store?.kind === 'http' ? fsspecLocation(uri) : { uri, options: null };
   if (isParent) {
     return `import xarray as xr\n` +
            `xr.open_datatree(\n` +
-           `    ${JSON.stringify(uri)},\n` +
-           `    engine=\"zarr\"\n` +
+           `    ${JSON.stringify(target)},\n` +
+           `    engine=\"zarr\"${options ? `,\n    storage_options=${pyLiteral(options)}` : ''}\n` +
            `)`;
   }
   return `import xarray as xr\n` +
-         `xr.open_zarr(${JSON.stringify(uri)})`;
+         `xr.open_zarr(${JSON.stringify(target)}${options ? `, storage_options=${pyLiteral(options)}` : ''})${select}`;
+}
+
+// Reference sets open through fsspec's ReferenceFileSystem ("reference://" with fo=<refs>)
+function buildReferenceSnippet(isParent, group) {
+  const refs = state.tree.refs;
+  let remote = null;
+  if (refs.kind === 'json') {
+    for (const entries of refs.byArray.values()) {
+      const hit = entries.find((e) => e.ref.url);
+      if (hit) { remote = (hit.ref.url.match(/^([a-z0-9+]+):\/\//i) || [])[1] || 'file'; break; }
+    }
+  }
+  const options = [`"fo": ${JSON.stringify(normalizeBase(state.baseUrl))}`];
+  if (remote) options.push(`"remote_protocol": ${JSON.stringify(remote)}`);
+  if (remote === 's3') options.push(`"remote_options": ${pyLiteral(s3StorageOptions(s3EndpointUrl(state.storage)))}`);
+  if (remote === 'gs' || remote === 'gcs') options.push(`"remote_options": {"token": "anon"}`);
+  return `import xarray as xr\n` +
+         `xr.${isParent ? 'open_datatree' : 'open_dataset'}(\n` +
+         `    "reference://",\n` +
+         `    engine="zarr",\n` +
+         `    backend_kwargs={"consolidated": False, "storage_options": {${options.join(', ')}}},\n` +
+         (group !== '/' ? `    group=${JSON.stringify(group)},\n` : '') +
+         `)`;
 }
 
 function onApplyNamingSpec() {
@@ -1158,6 +5602,8 @@ function onApplyNamingSpec() {
     if (!node.attrs || typeof node.attrs !== 'object') node.attrs = {};
     for (const [k, v] of Object.entries(attrs)) node.attrs[k] = v;
   }
+  searchIndexes.delete(state.tree); // re-index the new attributes on the next search
   setStatus(`Applied naming spec to ${parsed.length} subgroup(s).`);
   renderActive();
+  updateUrl();
 }